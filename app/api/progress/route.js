@@ -0,0 +1,81 @@
+import { learningSections, lessons, sectionKey } from "@/content";
+import { MIN_SYNC_CODE_LENGTH, mergeProgress, migrateProgress, validateProgress } from "@/lib/progress";
+import { getProgressStore, syncId, withLock } from "@/lib/progress-store";
+import { DAY, checkRateLimits, clientIp, rateLimitHeaders } from "@/lib/rate-limit";
+
+export const runtime = "nodejs";
+
+const MAX_BODY_BYTES = 1_000_000;
+const knownKeys = new Set(lessons.flatMap((lesson) => learningSections(lesson).map((section) => sectionKey(lesson.id, section.n))));
+
+async function authorize(request) {
+  const limit = await checkRateLimits([{ name: "ip-day", key: `progress:ip:${clientIp(request)}`, limit: Number(process.env.PROGRESS_DAILY_LIMIT || 1000), windowMs: DAY, consume: true }]);
+  if (!limit.allowed) return { error: Response.json({ error: "Too many sync requests from this network today. Try again later." }, { status: 429, headers: rateLimitHeaders(limit) }) };
+  const code = String(request.headers.get("x-sync-code") || "").trim();
+  if (code.length < MIN_SYNC_CODE_LENGTH || code.length > 200) {
+    return { error: Response.json({ error: `A sync code of at least ${MIN_SYNC_CODE_LENGTH} characters is required.` }, { status: 401 }) };
+  }
+  return { id: syncId(code), store: getProgressStore() };
+}
+
+function failure(error) {
+  console.error("Progress sync error", error);
+  return Response.json({ error: "Progress sync is unavailable right now. Check the server logs and PROGRESS_STORE configuration." }, { status: 500 });
+}
+
+export async function GET(request) {
+  try {
+    const { id, store, error } = await authorize(request);
+    if (error) return error;
+    const record = await store.get(id);
+    if (!record) return Response.json({ error: "No progress has been synced with this code yet." }, { status: 404 });
+    return Response.json(record);
+  } catch (error) {
+    return failure(error);
+  }
+}
+
+export async function PUT(request) {
+  try {
+    const { id, store, error } = await authorize(request);
+    if (error) return error;
+    const text = await request.text();
+    if (new TextEncoder().encode(text).length > MAX_BODY_BYTES) return Response.json({ error: "Progress data is too large to sync." }, { status: 413 });
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      return Response.json({ error: "Request body must be JSON." }, { status: 400 });
+    }
+    const migrated = migrateProgress(body?.data);
+    const { value, errors } = validateProgress(migrated.data, knownKeys);
+    if (migrated.errors.length || errors.length) return Response.json({ error: "Progress data failed validation.", details: [...migrated.errors, ...errors] }, { status: 422 });
+
+    const record = await withLock(id, async () => {
+      const stored = await store.get(id);
+      // `replace` comes from a "Replace this browser's progress" import: the upload becomes the record.
+      const next = {
+        data: stored && body.replace !== true ? mergeProgress(value, stored.data) : mergeProgress(value, value),
+        revision: (stored?.revision || 0) + 1,
+        updatedAt: new Date().toISOString(),
+      };
+      await store.put(id, next);
+      return next;
+    });
+    return Response.json(record);
+  } catch (error) {
+    return failure(error);
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const { id, store, error } = await authorize(request);
+    if (error) return error;
+    await withLock(id, () => store.remove(id));
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    return failure(error);
+  }
+}
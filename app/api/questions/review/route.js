@@ -0,0 +1,55 @@
+import { domains, getLesson, lessons } from "@/content";
+import { approveQuestion, readQueue, rejectQuestion, reviewAccess } from "@/lib/question-review";
+import { reviewContext } from "@/lib/question-generation";
+
+export const runtime = "nodejs";
+
+const context = reviewContext(lessons, domains);
+
+function failure(error) {
+  console.error("Question review error", error);
+  return Response.json({ error: "The review queue could not be updated. Check the server logs." }, { status: 500 });
+}
+
+function editedQuestion(input, fallbackChapter) {
+  const question = {
+    q: String(input.q || "").trim(),
+    choices: (Array.isArray(input.choices) ? input.choices : []).map((choice) => String(choice).trim()),
+    answer: Number(input.answer),
+    why: String(input.why || "").trim(),
+    lessons: (Array.isArray(input.lessons) ? input.lessons : []).map((id) => String(id).trim()).filter(Boolean),
+    domain: Number(input.domain),
+    objectives: (Array.isArray(input.objectives) ? input.objectives : []).map((id) => String(id).trim()).filter(Boolean),
+  };
+  const chapters = question.lessons.map((id) => getLesson(id)?.chapter).filter(Boolean);
+  return { ...question, chapter: chapters.includes(fallbackChapter) ? fallbackChapter : chapters[0] ?? fallbackChapter };
+}
+
+export async function GET(request) {
+  const denied = reviewAccess(request);
+  if (denied) return Response.json({ error: denied.error }, { status: denied.status });
+  try {
+    return Response.json({ pending: (await readQueue()).pending });
+  } catch (error) {
+    return failure(error);
+  }
+}
+
+export async function POST(request) {
+  const denied = reviewAccess(request);
+  if (denied) return Response.json({ error: denied.error }, { status: denied.status });
+  try {
+    const body = await request.json();
+    const reviewId = String(body.reviewId || "");
+    if (body.action === "reject") {
+      const result = await rejectQuestion(reviewId);
+      return Response.json(result.errors ? { error: result.errors[0] } : { ok: true }, { status: result.status });
+    }
+    if (body.action !== "approve") return Response.json({ error: "Unknown review action." }, { status: 400 });
+    const result = await approveQuestion(reviewId, body.question ? editedQuestion(body.question, Number(body.question.chapter)) : {}, context);
+    if (result.errors) return Response.json({ error: "The question failed validation.", details: result.errors }, { status: result.status });
+    return Response.json({ question: result.question });
+  } catch (error) {
+    return failure(error);
+  }
+}
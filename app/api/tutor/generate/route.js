@@ -0,0 +1,76 @@
+import { domains, getLesson } from "@/content";
+import { objectiveList } from "@/lib/objectives";
+import { checkRateLimits, clientIp, rateLimitHeaders, rateLimitSession, recordUsage } from "@/lib/rate-limit";
+import { limitMessage, quotaSummary, tutorLimits, usageTokens } from "@/lib/tutor-limits";
+import { getLlmProvider } from "@/lib/llm";
+import { estimateTokens } from "@/lib/retrieval";
+import { MAX_GENERATED, parseGeneratedQuestions } from "@/lib/question-generation";
+import { enqueueQuestions, reviewAccess } from "@/lib/question-review";
+
+export const runtime = "nodejs";
+
+const GENERATE_PROMPT = `You write practice questions for a self-contained CompTIA Security+ SY0-701 course.
+
+Write scenario-based multiple-choice questions that test the COURSE SECTION below. Each question describes a short workplace situation and asks for the BEST, FIRST or MOST LIKELY answer. Give exactly four distinct choices with one clearly correct answer and plausible distractors drawn from related Security+ concepts. Do not copy sentences from the course text, and never reproduce real exam questions.
+
+Reply with only a JSON array and nothing else. Each item is:
+{"q": "the scenario and question", "choices": ["A", "B", "C", "D"], "answer": index of the correct choice from 0 to 3, "why": "why the answer is correct and the closest distractor is not", "objective": the exam objective number it tests, chosen from EXAM OBJECTIVES}`;
+
+export async function POST(request) {
+  try {
+    const denied = reviewAccess(request);
+    if (denied) return Response.json({ error: denied.error }, { status: denied.status });
+    let provider;
+    try {
+      provider = getLlmProvider();
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 503 });
+    }
+    if (provider.configError) return Response.json({ error: provider.configError }, { status: 503 });
+
+    const body = await request.json();
+    const lesson = getLesson(String(body.lessonId || ""));
+    const section = lesson?.slides.find((s) => s.n === Number(body.sectionNumber) && s.instructional);
+    if (!section) return Response.json({ error: "Choose a learning section to generate questions from." }, { status: 400 });
+    const count = Math.min(MAX_GENERATED, Math.max(1, Number(body.count) || 3));
+
+    const session = rateLimitSession(request);
+    const dimensions = tutorLimits(clientIp(request), session.id);
+    const limit = await checkRateLimits(dimensions);
+    const headers = { ...rateLimitHeaders(limit), ...(session.cookie && { "Set-Cookie": session.cookie }) };
+    if (!limit.allowed) return Response.json({ error: limitMessage(limit), quota: quotaSummary(limit) }, { status: 429, headers });
+
+    const c = section.course || {};
+    const content = JSON.stringify({
+      lesson: `${lesson.id} ${lesson.title}`,
+      section: section.title,
+      learn: c.learn || section.teach,
+      breakdown: c.breakdown,
+      why: c.why,
+      example: c.example,
+      exam: c.exam,
+      definitions: c.defs?.length ? c.defs : section.defs,
+    }, null, 2).slice(0, 12000);
+    const input = [{ role: "user", content: `GENERATE QUESTIONS: write ${count} question(s).\n\nEXAM OBJECTIVES:\n${objectiveList(domains).filter((o) => section.objectives.includes(o.id)).map((o) => `${o.id} ${o.title}`).join("\n")}\n\nCOURSE SECTION:\n${content}` }];
+
+    let text = "";
+    let usage = null;
+    try {
+      for await (const chunk of provider.stream({ instructions: GENERATE_PROMPT, input, signal: request.signal })) {
+        if (chunk.text) text += chunk.text;
+        if (chunk.usage) usage = chunk.usage;
+      }
+    } finally {
+      const budget = dimensions.find((d) => d.unit === "tokens");
+      const spent = usage ? usageTokens(usage) : estimateTokens(GENERATE_PROMPT) + estimateTokens(JSON.stringify(input)) + estimateTokens(text);
+      if (budget) await recordUsage(budget, spent).catch((error) => console.error("Question generation usage accounting error", error));
+    }
+
+    const { candidates, errors } = parseGeneratedQuestions(text, { lesson, section, domains });
+    const { added, duplicates } = await enqueueQuestions(candidates, { lessonId: lesson.id, sectionNumber: section.n, sectionTitle: section.title, provider: provider.name, model: provider.model });
+    return Response.json({ added, duplicates, invalid: errors }, { headers });
+  } catch (error) {
+    console.error("Question generation error", error);
+    return Response.json({ error: "Questions could not be generated right now. Check the server logs and your AI provider configuration." }, { status: 500 });
+  }
+}
@@ -0,0 +1,72 @@
+import { getLesson } from "@/content";
+import { checkRateLimits, clientIp, rateLimitHeaders, rateLimitSession, recordUsage } from "@/lib/rate-limit";
+import { limitMessage, quotaSummary, tutorLimits, usageTokens } from "@/lib/tutor-limits";
+import { getLlmProvider } from "@/lib/llm";
+import { estimateTokens } from "@/lib/retrieval";
+
+export const runtime = "nodejs";
+
+const GRADE_PROMPT = `You grade short written answers to knowledge-check questions in a CompTIA Security+ course.
+
+Compare the STUDENT ANSWER with the MODEL ANSWER. Pass the answer when it shows the same core understanding, even if it is worded differently, shorter, or misses minor detail. Fail it when it is wrong, contradicts the model answer, or misses the main idea.
+
+Reply with only a JSON object and nothing else:
+{"verdict": "pass" or "fail", "feedback": "one to three sentences telling the student what they got right and what to review"}`;
+
+function parseGrade(text) {
+  try {
+    const grade = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] || "");
+    if (grade.verdict !== "pass" && grade.verdict !== "fail") return null;
+    return { verdict: grade.verdict, feedback: String(grade.feedback || "").trim().slice(0, 1000) };
+  } catch {
+    return null;
+  }
+}
+
+export async function POST(request) {
+  try {
+    let provider;
+    try {
+      provider = getLlmProvider();
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 503 });
+    }
+    if (provider.configError) return Response.json({ error: provider.configError }, { status: 503 });
+
+    const body = await request.json();
+    const lesson = getLesson(String(body.lessonId || ""));
+    const section = lesson?.slides.find((s) => s.n === Number(body.sectionNumber) && s.instructional);
+    const question = section?.course?.check_q;
+    const expected = section?.course?.check_a;
+    const answer = String(body.answer || "").trim().slice(0, 2000);
+    if (!question || !expected) return Response.json({ error: "This section has no knowledge check to grade." }, { status: 400 });
+    if (!answer) return Response.json({ error: "Write an answer before asking for a grade." }, { status: 400 });
+
+    const session = rateLimitSession(request);
+    const dimensions = tutorLimits(clientIp(request), session.id);
+    const limit = await checkRateLimits(dimensions);
+    const headers = { ...rateLimitHeaders(limit), ...(session.cookie && { "Set-Cookie": session.cookie }) };
+    if (!limit.allowed) return Response.json({ error: limitMessage(limit), quota: quotaSummary(limit) }, { status: 429, headers });
+
+    const input = [{ role: "user", content: `KNOWLEDGE CHECK for "${section.title}"\n\nQUESTION:\n${question}\n\nMODEL ANSWER:\n${expected}\n\nSTUDENT ANSWER:\n${answer}` }];
+    let text = "";
+    let usage = null;
+    try {
+      for await (const chunk of provider.stream({ instructions: GRADE_PROMPT, input, signal: request.signal })) {
+        if (chunk.text) text += chunk.text;
+        if (chunk.usage) usage = chunk.usage;
+      }
+    } finally {
+      const budget = dimensions.find((d) => d.unit === "tokens");
+      const spent = usage ? usageTokens(usage) : estimateTokens(GRADE_PROMPT) + estimateTokens(JSON.stringify(input)) + estimateTokens(text);
+      if (budget) await recordUsage(budget, spent).catch((error) => console.error("AI grading usage accounting error", error));
+    }
+
+    const grade = parseGrade(text);
+    if (!grade) return Response.json({ error: "The AI Tutor could not grade this answer. Grade it yourself against the model answer, or try again." }, { status: 502, headers });
+    return Response.json({ ...grade, quota: quotaSummary(limit) }, { headers });
+  } catch (error) {
+    console.error("AI grading error", error);
+    return Response.json({ error: "The AI Tutor could not grade this answer right now. Grade it yourself against the model answer." }, { status: 500 });
+  }
+}
@@ -1,31 +1,68 @@
-import OpenAI from "openai";
-import { checkBasicDailyLimit } from "@/lib/rate-limit";
+import { checkRateLimits, clientIp, rateLimitHeaders, rateLimitSession, recordUsage } from "@/lib/rate-limit";
+import { limitMessage, quotaSummary, tutorLimits, usageTokens } from "@/lib/tutor-limits";
+import { sseEvent, sseResponse } from "@/lib/sse";
+import { getLlmProvider } from "@/lib/llm";
+import { DEFAULT_RETRIEVAL_TOKENS, estimateTokens, retrieveSections } from "@/lib/retrieval";
+import { RECENT_TURNS, SUMMARY_BATCH } from "@/lib/conversations";
 
 export const runtime = "nodejs";
 
-function clientIp(request) {
-  const forwarded = request.headers.get("x-forwarded-for");
-  return forwarded?.split(",")[0]?.trim() || request.headers.get("x-real-ip") || "unknown";
+const TUTOR_PROMPT = `You are S+ AI Study Coach, a patient CompTIA Security+ tutor embedded inside a self-contained course.
+
+PRIMARY RULE: Teach from the COURSE CONTEXT first. The student should never need to find the original ZIP, PDF, or PowerPoint. Explain the concept directly.
+
+Teaching behavior:
+- Answer the student's actual question first.
+- Use clear beginner-friendly language, then add technical precision when useful.
+- When appropriate, use a short example or analogy.
+- For exam preparation, explain clue words and why similar answer choices differ.
+- If the student asks to be quizzed, ask one question at a time and wait for their answer before revealing it.
+- When RELATED COURSE SECTIONS are provided and relevant, teach from them too and cite them with their bracketed number, for example [2].
+- If the student asks about something not supported by the course context or related sections, you may add generally known Security+ context, but label it "Additional Security+ context".
+- Never claim you know the student's real CompTIA exam questions or provide exam dumps.
+- Do not tell the student to consult the source files.
+- Keep answers focused and normally under 500 words unless the student requests more detail.`;
+
+const SUMMARY_PROMPT = "Summarize this tutoring conversation between a CompTIA Security+ student and their tutor so the tutor can continue it later. Keep the concepts covered, what the student understood or struggled with, and any quiz question still waiting for an answer. Write plain prose in at most 150 words.";
+const MAX_HISTORY = 40;
+
+async function summarize(provider, previous, turns, signal) {
+  const transcript = turns.map((m) => `${m.role === "user" ? "Student" : "Tutor"}: ${m.content}`).join("\n\n");
+  const content = `${previous ? `Summary of the conversation before this point:\n${previous}\n\n` : ""}Conversation:\n${transcript}`;
+  let text = "";
+  let usage = null;
+  for await (const chunk of provider.stream({ instructions: SUMMARY_PROMPT, input: [{ role: "user", content }], signal })) {
+    if (chunk.text) text += chunk.text;
+    if (chunk.usage) usage = chunk.usage;
+  }
+  return { text: text.trim().slice(0, 4000), usage };
 }
 
 export async function POST(request) {
   try {
-    if (!process.env.OPENAI_API_KEY) {
-      return Response.json({ error: "AI Tutor is not configured yet. Add OPENAI_API_KEY in Vercel Environment Variables." }, { status: 503 });
-    }
-
-    const dailyLimit = Number(process.env.TUTOR_DAILY_LIMIT || 25);
-    const limit = checkBasicDailyLimit(clientIp(request), Number.isFinite(dailyLimit) ? dailyLimit : 25);
-    if (!limit.allowed) {
-      return Response.json({ error: "Daily AI Tutor limit reached for this deployment instance. Try again later." }, { status: 429 });
+    let provider;
+    try {
+      provider = getLlmProvider();
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 503 });
     }
+    if (provider.configError) return Response.json({ error: provider.configError }, { status: 503 });
 
     const body = await request.json();
     const message = String(body.message || "").trim().slice(0, 4000);
-    const history = Array.isArray(body.history) ? body.history.slice(-8) : [];
+    const turns = (Array.isArray(body.history) ? body.history : []).filter((m) => m && (m.role === "user" || m.role === "assistant") && m.content).slice(-MAX_HISTORY).map((m) => ({ role: m.role, content: String(m.content).slice(0, 4000) }));
+    const priorSummary = String(body.summary || "").slice(0, 4000);
     const context = body.context || {};
     if (!message) return Response.json({ error: "Please enter a question." }, { status: 400 });
 
+    const session = rateLimitSession(request);
+    const dimensions = tutorLimits(clientIp(request), session.id);
+    const limit = await checkRateLimits(dimensions);
+    const headers = { ...rateLimitHeaders(limit), ...(session.cookie && { "Set-Cookie": session.cookie }) };
+    if (!limit.allowed) {
+      return Response.json({ error: limitMessage(limit), quota: quotaSummary(limit) }, { status: 429, headers });
+    }
+
     const courseContext = JSON.stringify({
       lessonId: context.lessonId,
       lessonTitle: context.lessonTitle,
@@ -40,38 +77,71 @@ export async function POST(request) {
       definitions: context.definitions,
     }, null, 2).slice(0, 14000);
 
-    const instructions = `You are S+ AI Study Coach, a patient CompTIA Security+ tutor embedded inside a self-contained course.
+    const retrievalTokens = Number(process.env.TUTOR_RETRIEVAL_TOKENS || DEFAULT_RETRIEVAL_TOKENS);
+    const sources = retrieveSections(`${message} ${context.sectionTitle || ""}`, {
+      exclude: { lessonId: context.lessonId, sectionNumber: context.sectionNumber },
+      tokenBudget: Number.isFinite(retrievalTokens) ? retrievalTokens : DEFAULT_RETRIEVAL_TOKENS,
+    });
+    const related = sources.length ? `\n\nRELATED COURSE SECTIONS (from across the course; cite as [n]):\n${sources.map((source) => source.text).join("\n\n")}` : "";
 
-PRIMARY RULE: Teach from the COURSE CONTEXT first. The student should never need to find the original ZIP, PDF, or PowerPoint. Explain the concept directly.
+    const older = turns.length > RECENT_TURNS + SUMMARY_BATCH ? turns.slice(0, -RECENT_TURNS) : [];
+    let stream = null;
 
-Teaching behavior:
-- Answer the student's actual question first.
-- Use clear beginner-friendly language, then add technical precision when useful.
-- When appropriate, use a short example or analogy.
-- For exam preparation, explain clue words and why similar answer choices differ.
-- If the student asks to be quizzed, ask one question at a time and wait for their answer before revealing it.
-- If the student asks about something not supported by the course context, you may add generally known Security+ context, but label it "Additional Security+ context".
-- Never claim you know the student's real CompTIA exam questions or provide exam dumps.
-- Do not tell the student to consult the source files.
-- Keep answers focused and normally under 500 words unless the student requests more detail.
+    return sseResponse(new ReadableStream({
+      async start(controller) {
+        controller.enqueue(sseEvent("meta", { quota: quotaSummary(limit), citations: sources.map(({ text, ...citation }) => citation) }));
+        let answer = "";
+        let usage = null;
+        let spent = 0;
+        let summary = priorSummary;
+        let recent = older.length ? turns.slice(-RECENT_TURNS) : turns;
+        let prompt = null;
+        try {
+          if (older.length) {
+            try {
+              const result = await summarize(provider, priorSummary, older, request.signal);
+              spent += result.usage ? usageTokens(result.usage) : estimateTokens(JSON.stringify(older)) + estimateTokens(result.text);
+              if (result.text) {
+                summary = result.text;
+                controller.enqueue(sseEvent("summary", { text: summary, covered: older.length }));
+              } else recent = turns;
+            } catch (error) {
+              if (request.signal.aborted) throw error;
+              console.error("AI Tutor summary error", error);
+              recent = turns;
+            }
+          }
+          prompt = {
+            instructions: `${provider.systemPrompt || TUTOR_PROMPT}
 
 COURSE CONTEXT:
-${courseContext}`;
-
-    const input = [
-      ...history.filter((m) => m && (m.role === "user" || m.role === "assistant") && m.content).map((m) => ({ role: m.role, content: String(m.content).slice(0, 4000) })),
-      { role: "user", content: message },
-    ];
-
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const response = await openai.responses.create({
-      model: process.env.OPENAI_MODEL || "gpt-5.6",
-      instructions,
-      input,
-      max_output_tokens: 900,
-    });
-
-    return Response.json({ answer: response.output_text || "I couldn't generate an answer for that question.", remaining: limit.remaining });
+${courseContext}${related}${summary ? `\n\nEARLIER IN THIS CONVERSATION (summary):\n${summary}` : ""}`,
+            input: [...recent, { role: "user", content: message }],
+          };
+          stream = provider.stream({ ...prompt, signal: request.signal });
+          for await (const chunk of stream) {
+            if (chunk.usage) usage = chunk.usage;
+            if (!chunk.text) continue;
+            answer += chunk.text;
+            controller.enqueue(sseEvent("delta", { text: chunk.text }));
+          }
+          if (!answer) controller.enqueue(sseEvent("delta", { text: "I couldn't generate an answer for that question." }));
+          controller.enqueue(sseEvent("done", {}));
+        } catch (error) {
+          if (request.signal.aborted) return;
+          console.error("AI Tutor stream error", error);
+          controller.enqueue(sseEvent("error", { error: "The AI Tutor stopped before finishing its answer. Try asking again." }));
+        } finally {
+          try { controller.close(); } catch {}
+          const budget = dimensions.find((d) => d.unit === "tokens");
+          spent += usage ? usageTokens(usage) : prompt ? estimateTokens(prompt.instructions) + estimateTokens(JSON.stringify(prompt.input)) + estimateTokens(answer) : 0;
+          if (budget) await recordUsage(budget, spent).catch((error) => console.error("AI Tutor usage accounting error", error));
+        }
+      },
+      cancel() {
+        stream?.return();
+      },
+    }), headers);
   } catch (error) {
     console.error("AI Tutor error", error);
     return Response.json({ error: "The AI Tutor could not answer right now. Check the Vercel function logs and your API configuration." }, { status: 500 });
@@ -1,7 +1,13 @@
 import { notFound } from "next/navigation";
-import { getLesson, getLessonNeighbors, lessons } from "@/content";
+import { getLesson, getLessonNeighbors, lessons, scenarioQuestions } from "@/content";
+import { filterQuestions } from "@/lib/quiz";
+import { buildGlossary, lessonGlossary } from "@/lib/glossary";
+import { termQuestions, templatedOpenings } from "@/lib/term-quiz";
 import LessonClient from "@/components/LessonClient";
 
+const glossary = buildGlossary(lessons);
+const templates = templatedOpenings(lessons);
+
 export function generateStaticParams() {
   return lessons.map((lesson) => ({ lessonId: lesson.id }));
 }
@@ -29,6 +35,9 @@ export default async function LessonRoute({ params }) {
       previous={previous ? { id: previous.id, title: previous.title } : null}
       next={next ? { id: next.id, title: next.title } : null}
       nextPreview={nextPreview}
+      practiceCount={filterQuestions(scenarioQuestions, { lessons: [decodedId] }).length}
+      glossary={lessonGlossary(glossary, lesson)}
+      termQuizCount={termQuestions(lesson, lessons, templates).length}
     />
   );
 }
@@ -0,0 +1,25 @@
+import { Suspense } from "react";
+import { notFound } from "next/navigation";
+import { domains, getLesson, lessons } from "@/content";
+import { termQuestions, templatedOpenings } from "@/lib/term-quiz";
+import QuizClient from "@/components/QuizClient";
+
+const templates = templatedOpenings(lessons);
+
+export function generateStaticParams() {
+  return lessons.filter((lesson) => termQuestions(lesson, lessons, templates).length).map((lesson) => ({ lessonId: lesson.id }));
+}
+
+export async function generateMetadata({ params }) {
+  const { lessonId } = await params;
+  const lesson = getLesson(decodeURIComponent(lessonId));
+  return lesson ? { title: `${lesson.id} ${lesson.title} term quiz | Security+ Study Guide` } : {};
+}
+
+export default async function LessonQuizRoute({ params }) {
+  const { lessonId } = await params;
+  const lesson = getLesson(decodeURIComponent(lessonId));
+  const questions = lesson ? termQuestions(lesson, lessons, templates) : [];
+  if (!questions.length) notFound();
+  return <Suspense><QuizClient questionBank={questions} domains={domains} lesson={{ id: lesson.id, title: lesson.title }} /></Suspense>;
+}
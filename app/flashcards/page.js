@@ -1,4 +1,4 @@
-import { lessons } from "@/content";
+import { chapters, lessons } from "@/content";
 import FlashcardsClient from "@/components/FlashcardsClient";
 
 export const metadata = { title: "Flashcards | Security+ Study Guide" };
@@ -9,11 +9,12 @@ export default function FlashcardsPage() {
       key: `${lesson.id}-${section.n}`,
       lessonId: lesson.id,
       lessonTitle: lesson.title,
+      chapter: lesson.chapter,
       sectionNumber: section.n,
       title: section.title,
       answer: section.course?.learn || section.teach || section.points.join(" · "),
       exam: section.course?.exam || "Explain the concept and recognize it in a Security+ scenario.",
     }))
   );
-  return <FlashcardsClient cards={cards} />;
+  return <FlashcardsClient cards={cards} chapters={chapters.map((chapter) => ({ chapter: chapter.chapter, name: chapter.name }))} />;
 }
@@ -0,0 +1,9 @@
+import { chapters, lessons } from "@/content";
+import { buildGlossary } from "@/lib/glossary";
+import GlossaryClient from "@/components/GlossaryClient";
+
+export const metadata = { title: "Glossary | Security+ Study Guide" };
+
+export default function GlossaryPage() {
+  return <GlossaryClient glossary={buildGlossary(lessons)} chapters={chapters.map((chapter) => ({ chapter: chapter.chapter, name: chapter.name }))} />;
+}
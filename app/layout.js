@@ -1,13 +1,17 @@
 import "./globals.css";
-import { chapters, lessons } from "@/content";
+import { chapters, lessons, learningSections, sectionKey } from "@/content";
 import { ProgressProvider } from "@/components/ProgressProvider";
 import SiteShell from "@/components/SiteShell";
+import OfflineSupport from "@/components/OfflineSupport";
 
 export const metadata = {
   title: "Security+ SY0-701 Study Guide",
   description: "An interactive Security+ learning course with lessons, flashcards, quizzes, progress tracking, and an AI study coach.",
+  appleWebApp: { capable: true, title: "Security+" },
 };
 
+export const viewport = { themeColor: "#0f8b8f" };
+
 export default function RootLayout({ children }) {
   const navigation = chapters.map((chapter) => ({
     ...chapter,
@@ -16,22 +20,15 @@ export default function RootLayout({ children }) {
       .map((lesson) => ({ id: lesson.id, title: lesson.title })),
   }));
 
-  const searchIndex = lessons.flatMap((lesson) => [
-    { kind: "lesson", lessonId: lesson.id, sectionNumber: null, title: `${lesson.id} ${lesson.title}`, subtitle: lesson.chapter_name },
-    ...lesson.slides.map((section) => ({
-      kind: "section",
-      lessonId: lesson.id,
-      sectionNumber: section.n,
-      title: section.title,
-      subtitle: `${lesson.id} · ${lesson.title}`,
-    })),
-  ]);
+  const sectionKeys = lessons.flatMap((lesson) => learningSections(lesson).map((section) => sectionKey(lesson.id, section.n)));
+  const checkKeys = lessons.flatMap((lesson) => learningSections(lesson).filter((section) => section.course?.check_q).map((section) => sectionKey(lesson.id, section.n)));
 
   return (
     <html lang="en">
       <body>
-        <ProgressProvider>
-          <SiteShell navigation={navigation} searchIndex={searchIndex}>{children}</SiteShell>
+        <ProgressProvider sectionKeys={sectionKeys} checkKeys={checkKeys}>
+          <SiteShell navigation={navigation}>{children}</SiteShell>
+          <OfflineSupport />
         </ProgressProvider>
       </body>
     </html>
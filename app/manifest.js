@@ -0,0 +1,12 @@
+export default function manifest() {
+  return {
+    name: "Security+ SY0-701 Study Guide",
+    short_name: "Security+",
+    description: "Lessons, flashcards, quizzes and progress tracking for CompTIA Security+ SY0-701, available offline.",
+    start_url: "/",
+    display: "standalone",
+    background_color: "#eef1f5",
+    theme_color: "#0f8b8f",
+    icons: [{ src: "/icon.svg", sizes: "any", type: "image/svg+xml", purpose: "any maskable" }],
+  };
+}
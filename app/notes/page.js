@@ -0,0 +1,17 @@
+import { chapters, learningSections, lessons, sectionKey } from "@/content";
+import NotesClient from "@/components/NotesClient";
+
+export const metadata = { title: "My Notes | Security+ Study Guide" };
+
+export default function NotesPage() {
+  const sections = lessons.flatMap((lesson) => learningSections(lesson).map((section) => ({
+    key: sectionKey(lesson.id, section.n),
+    lessonId: lesson.id,
+    lessonTitle: lesson.title,
+    chapter: lesson.chapter,
+    chapterName: lesson.chapter_name,
+    n: section.n,
+    title: section.title,
+  })));
+  return <NotesClient sections={sections} chapters={chapters.map((chapter) => ({ chapter: chapter.chapter, name: chapter.name }))} />;
+}
@@ -0,0 +1,12 @@
+import { domains, lessons, scenarioQuestions } from "@/content";
+import { objectiveCoverage, readinessShape } from "@/lib/objectives";
+import { termQuestions, templatedOpenings } from "@/lib/term-quiz";
+import ObjectivesClient from "@/components/ObjectivesClient";
+
+export const metadata = { title: "Exam Objectives | Security+ Study Guide" };
+
+export default function ObjectivesPage() {
+  const templates = templatedOpenings(lessons);
+  const questions = [...scenarioQuestions, ...lessons.flatMap((lesson) => termQuestions(lesson, lessons, templates))];
+  return <ObjectivesClient domains={domains} rows={objectiveCoverage(domains, lessons, questions)} shape={readinessShape(domains, lessons, scenarioQuestions)} />;
+}
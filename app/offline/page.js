@@ -0,0 +1,7 @@
+import Link from "next/link";
+
+export const metadata = { title: "Offline | Security+ Study Guide" };
+
+export default function OfflinePage() {
+  return <section><div className="quiz-shell"><div className="result"><div className="eyebrow">You are offline</div><p>This page has not been saved for offline use. Every lesson, the flashcards, the quizzes and your saved progress still work without a connection.</p><div className="controls"><Link className="btn primary" href="/course">Open the course</Link><Link className="btn" href="/flashcards">Study flashcards</Link><Link className="btn" href="/quiz">Take a quiz</Link></div></div></div></section>;
+}
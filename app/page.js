@@ -1,10 +1,12 @@
-import { chapters, lessons, learningSections, scenarioQuestions, sectionKey } from "@/content";
+import { chapters, domains, lessons, learningSections, scenarioQuestions, sectionKey } from "@/content";
+import { readinessShape } from "@/lib/objectives";
 import HomeDashboard from "@/components/HomeDashboard";
 
 export default function HomePage() {
   const progressShape = lessons.map((lesson) => ({
     id: lesson.id,
     chapter: lesson.chapter,
+    title: lesson.title,
     keys: learningSections(lesson).map((section) => sectionKey(lesson.id, section.n)),
   }));
 
@@ -15,6 +17,7 @@ export default function HomePage() {
       lessonCount={lessons.length}
       learningCount={progressShape.reduce((sum, lesson) => sum + lesson.keys.length, 0)}
       quizCount={scenarioQuestions.length}
+      readiness={readinessShape(domains, lessons, scenarioQuestions)}
     />
   );
 }
@@ -0,0 +1,7 @@
+import ProgressBackup from "@/components/ProgressBackup";
+
+export const metadata = { title: "Backup & Restore | Security+ Study Guide" };
+
+export default function ProgressPage() {
+  return <ProgressBackup />;
+}
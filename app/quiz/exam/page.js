@@ -0,0 +1,8 @@
+import { scenarioQuestions } from "@/content";
+import ExamClient from "@/components/ExamClient";
+
+export const metadata = { title: "Exam Simulation | Security+ Study Guide" };
+
+export default function ExamPage() {
+  return <ExamClient questionBank={scenarioQuestions} />;
+}
@@ -1,8 +1,23 @@
-import { scenarioQuestions } from "@/content";
+import { Suspense } from "react";
+import { chapters, domains, lessons, scenarioQuestions } from "@/content";
+import { filterQuestions } from "@/lib/quiz";
 import QuizClient from "@/components/QuizClient";
 
 export const metadata = { title: "Scenario Quiz | Security+ Study Guide" };
 
 export default function QuizPage() {
-  return <QuizClient questionBank={scenarioQuestions} />;
+  const quizChapters = chapters.map((chapter) => {
+    const chapterLessons = lessons
+      .filter((lesson) => lesson.chapter === chapter.chapter)
+      .map((lesson) => ({ id: lesson.id, title: lesson.title, questionCount: filterQuestions(scenarioQuestions, { lessons: [lesson.id] }).length }))
+      .filter((lesson) => lesson.questionCount);
+    return {
+      chapter: chapter.chapter,
+      name: chapter.name,
+      questionCount: filterQuestions(scenarioQuestions, { lessons: chapterLessons.map((lesson) => lesson.id) }).length,
+      lessons: chapterLessons,
+    };
+  }).filter((chapter) => chapter.lessons.length);
+
+  return <Suspense><QuizClient questionBank={scenarioQuestions} chapters={quizChapters} domains={domains} /></Suspense>;
 }
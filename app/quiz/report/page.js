@@ -0,0 +1,8 @@
+import { chapters, scenarioQuestions } from "@/content";
+import QuizReport from "@/components/QuizReport";
+
+export const metadata = { title: "My Quiz Results | Security+ Study Guide" };
+
+export default function QuizReportPage() {
+  return <QuizReport questionBank={scenarioQuestions} chapters={chapters.map((chapter) => ({ chapter: chapter.chapter, name: chapter.name }))} />;
+}
@@ -0,0 +1,9 @@
+import { domains, learningSections, lessons } from "@/content";
+import QuestionReview from "@/components/QuestionReview";
+
+export const metadata = { title: "Question Review | Security+ Study Guide", robots: { index: false } };
+
+export default function ReviewPage() {
+  const outline = lessons.map((lesson) => ({ id: lesson.id, title: lesson.title, chapter: lesson.chapter, sections: learningSections(lesson).map((section) => ({ n: section.n, title: section.title })) }));
+  return <QuestionReview lessons={outline} domains={domains.map((domain) => ({ domain: domain.domain, name: domain.name, objectives: domain.objectives }))} />;
+}
@@ -0,0 +1,8 @@
+import { lessons } from "@/content";
+import { buildSearchIndex } from "@/lib/search";
+
+export const dynamic = "force-static";
+
+export function GET() {
+  return Response.json(buildSearchIndex(lessons));
+}
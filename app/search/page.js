@@ -0,0 +1,9 @@
+import { Suspense } from "react";
+import { chapters } from "@/content";
+import SearchClient from "@/components/SearchClient";
+
+export const metadata = { title: "Search | Security+ Study Guide" };
+
+export default function SearchPage() {
+  return <Suspense><SearchClient chapters={chapters.map((chapter) => ({ chapter: chapter.chapter, name: chapter.name }))} /></Suspense>;
+}
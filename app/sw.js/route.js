@@ -0,0 +1,19 @@
+import { createHash } from "node:crypto";
+import { chapters, lessons, scenarioQuestions } from "@/content";
+import { generateStaticParams } from "../course/[lessonId]/page";
+import { generateStaticParams as lessonQuizParams } from "../course/[lessonId]/quiz/page";
+import { OFFLINE_FILES, OFFLINE_PAGES, serviceWorkerSource } from "@/lib/offline";
+
+export const dynamic = "force-static";
+
+const BUILT_AT = new Date().toISOString();
+
+export function GET() {
+  const version = createHash("sha256")
+    .update(JSON.stringify({ chapters, lessons, scenarioQuestions }))
+    .update(process.env.VERCEL_DEPLOYMENT_ID || process.env.VERCEL_GIT_COMMIT_SHA || BUILT_AT)
+    .digest("hex")
+    .slice(0, 12);
+  const urls = [...OFFLINE_PAGES, ...generateStaticParams().map(({ lessonId }) => `/course/${lessonId}`), ...lessonQuizParams().map(({ lessonId }) => `/course/${lessonId}/quiz`), ...OFFLINE_FILES];
+  return new Response(serviceWorkerSource({ version, urls }), { headers: { "Content-Type": "application/javascript; charset=utf-8", "Cache-Control": "no-cache" } });
+}
@@ -1,6 +1,12 @@
 "use client";
 
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import Link from "next/link";
+import { useOnline } from "./OfflineSupport";
+import { readEvents } from "@/lib/sse";
+import { resultHref } from "@/lib/search";
+import { dayKey } from "@/lib/srs";
+import { MAX_STORED_CHARS, conversationMarkdown, conversationSection, loadConversations, newConversation, saveConversations, storedSize, tutorHistory } from "@/lib/conversations";
 
 const QUICK = [
   ["Explain simpler", "Explain this concept in simpler beginner-friendly language."],
@@ -10,11 +16,21 @@ const QUICK = [
   ["Quiz me", "Quiz me on this concept. Ask one multiple-choice scenario question and do not reveal the answer until I respond."],
   ["Compare concepts", "What concept is most commonly confused with this one? Compare them clearly."],
 ];
+const CONNECT_ERROR = "The tutor could not connect. Check your deployment and API environment variables.";
+const OFFLINE_ERROR = "You are offline, so the AI Tutor is unavailable. Lessons, flashcards and quizzes still work; ask again when you are back online.";
 
 export default function AITutor({ open, onClose, lesson, section }) {
-  const [messages, setMessages] = useState([]);
+  const [conversations, setConversations] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
+  const [quota, setQuota] = useState(null);
+  const online = useOnline();
+  const request = useRef(null);
+  const chat = useRef(null);
+  // The section whose latest conversation was opened; later edits to the list keep the current selection.
+  const pickedSection = useRef(null);
   const context = useMemo(() => ({
     lessonId: lesson.id,
     lessonTitle: lesson.title,
@@ -29,31 +45,135 @@ export default function AITutor({ open, onClose, lesson, section }) {
     definitions: section?.course?.defs || section?.defs || [],
   }), [lesson, section]);
 
+  const sectionId = conversationSection(lesson.id, section?.n);
+  const sorted = useMemo(() => [...(conversations || [])].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)), [conversations]);
+  const active = sorted.find((c) => c.id === activeId) || null;
+  const messages = active?.messages || [];
+
+  useEffect(() => { setConversations(loadConversations()); }, []);
+  useEffect(() => {
+    if (!open) {
+      pickedSection.current = null;
+      return;
+    }
+    if (!conversations || pickedSection.current === sectionId) return;
+    pickedSection.current = sectionId;
+    setActiveId(sorted.find((c) => c.section === sectionId)?.id || null);
+    setShowHistory(false);
+  }, [open, sectionId, conversations, sorted]);
+  useEffect(() => {
+    if (!conversations || loading) return;
+    const kept = saveConversations(conversations, activeId);
+    if (kept.length !== conversations.length) setConversations(kept);
+  }, [conversations, loading]);
+  useEffect(() => { if (!open) request.current?.abort(); }, [open]);
+  useEffect(() => () => request.current?.abort(), []);
+  useEffect(() => { if (chat.current) chat.current.scrollTop = chat.current.scrollHeight; }, [messages]);
+
   if (!open) return null;
 
-  async function send(text) {
+  const exhausted = quota?.remaining === 0 && Date.parse(quota.resetAt) > Date.now();
+
+  const touch = (id, change) => setConversations((list) => list.map((c) => (c.id === id ? { ...change(c), updatedAt: new Date().toISOString() } : c)));
+
+  async function send(text, prior) {
     const message = String(text || input).trim();
     if (!message || loading) return;
-    const prior = messages;
-    setMessages((m) => [...m, { role: "user", content: message }]);
+    const conversation = active || newConversation(lesson, section);
+    const base = prior || conversation.messages;
+    const { summary, history, indices } = tutorHistory(conversation, base);
+    const updateReply = (patch) => touch(conversation.id, (c) => ({ ...c, messages: [...c.messages.slice(0, -1), { ...c.messages[c.messages.length - 1], ...patch(c.messages[c.messages.length - 1]) }] }));
+    const controller = new AbortController();
+    request.current = controller;
+    if (!active) {
+      setConversations((list) => [conversation, ...list]);
+      setActiveId(conversation.id);
+    }
+    touch(conversation.id, (c) => ({ ...c, messages: [...base, { role: "user", content: message }, { role: "assistant", content: "", streaming: true }] }));
     setInput(""); setLoading(true);
     try {
-      const response = await fetch("/api/tutor", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ message, history: prior, context }) });
-      const data = await response.json();
-      setMessages((m) => [...m, { role: "assistant", content: data.answer || data.error || "The tutor could not respond." }]);
-    } catch {
-      setMessages((m) => [...m, { role: "assistant", content: "The tutor could not connect. Check your deployment and API environment variables." }]);
-    } finally { setLoading(false); }
+      const response = await fetch("/api/tutor", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ message, history, summary, context }), signal: controller.signal });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (data.quota) setQuota(data.quota);
+        throw new Error(data.error || "The tutor could not respond.");
+      }
+      let finished = false;
+      await readEvents(response, (event, data) => {
+        if (event === "meta") {
+          if (data.quota) setQuota(data.quota);
+          updateReply(() => ({ citations: data.citations || [] }));
+        }
+        else if (event === "summary") touch(conversation.id, (c) => ({ ...c, summary: { text: data.text, upTo: indices[data.covered - 1] + 1 } }));
+        else if (event === "delta") updateReply((reply) => ({ content: reply.content + data.text }));
+        else if (event === "error") throw new Error(data.error);
+        else if (event === "done") finished = true;
+      });
+      if (!finished) throw new Error("The connection dropped before the answer finished.");
+      updateReply(() => ({ streaming: false }));
+    } catch (error) {
+      if (controller.signal.aborted) updateReply(() => ({ streaming: false, stopped: true }));
+      else updateReply(() => ({ streaming: false, error: !navigator.onLine ? OFFLINE_ERROR : error instanceof TypeError ? CONNECT_ERROR : error.message }));
+    } finally {
+      if (request.current === controller) request.current = null;
+      setLoading(false);
+    }
+  }
+
+  function retry(index) {
+    send(messages[index - 1].content, messages.slice(0, index - 1));
+  }
+
+  function exportMarkdown() {
+    const url = URL.createObjectURL(new Blob([conversationMarkdown(active, window.location.origin)], { type: "text/markdown" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `splus-tutor-${sectionId}-${dayKey()}.md`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function clear() {
+    if (!window.confirm("Delete this conversation? It cannot be restored.")) return;
+    setConversations((list) => list.filter((c) => c.id !== activeId));
+    setActiveId(null);
+  }
+
+  function clearAll() {
+    if (!window.confirm("Delete every saved tutor conversation?")) return;
+    setConversations([]);
+    setActiveId(null);
   }
 
   return <div className="ai-backdrop" onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
     <aside className="ai-panel">
       <div className="ai-head"><div><div className="eyebrow">S+ // AI STUDY COACH</div><strong>{lesson.id} · {section?.title || lesson.title}</strong></div><button className="icon" onClick={onClose}>×</button></div>
       <div className="ai-context">I’m tutoring you on <strong>{section?.title || lesson.title}</strong>. Ask anything about this lesson; you do not need the original files.</div>
-      <div className="ai-quick">{QUICK.map(([label, prompt]) => <button key={label} onClick={() => send(prompt)} disabled={loading}>{label}</button>)}</div>
-      <div className="ai-chat">{messages.length === 0 && <div className="ai-empty">Try “Explain simpler,” ask what a term means, or ask me to quiz you.</div>}{messages.map((m, i) => <div className={`ai-msg ${m.role}`} key={i}><span>{m.role === "user" ? "You" : "S+ Coach"}</span><p>{m.content}</p></div>)}{loading && <div className="ai-msg assistant"><span>S+ Coach</span><p>Thinking…</p></div>}</div>
-      <form className="ai-form" onSubmit={(e) => { e.preventDefault(); send(); }}><textarea value={input} onChange={(e) => setInput(e.target.value)} placeholder="Ask about this lesson…" rows={3} /><button className="btn primary" disabled={loading || !input.trim()}>Send</button></form>
+      <div className="ai-quick">{QUICK.map(([label, prompt]) => <button key={label} onClick={() => send(prompt)} disabled={loading || exhausted || !online}>{label}</button>)}</div>{!online && <div className="ai-offline">{OFFLINE_ERROR}</div>}
+      <div className="ai-tools"><button onClick={() => setShowHistory((v) => !v)} disabled={loading}>{showHistory ? "Back to chat" : `History (${sorted.length})`}</button><button onClick={() => { setActiveId(null); setShowHistory(false); }} disabled={loading || !active}>New chat</button><button onClick={exportMarkdown} disabled={loading || !messages.length}>Export .md</button><button onClick={clear} disabled={loading || !active}>Clear</button></div>
+      {showHistory ? <div className="ai-chat ai-history">{sorted.length === 0 && <div className="ai-empty">No saved conversations yet.</div>}{sorted.map((c) => {
+        const body = <><strong>{c.lessonId} · {c.sectionTitle}</strong><span>{new Date(c.updatedAt).toLocaleString()} · {c.messages.length} messages{c.section !== sectionId && " · open lesson →"}</span><small>{(c.messages.find((m) => m.role === "user")?.content || "").slice(0, 100)}</small></>;
+        return c.section === sectionId ? <button key={c.id} className={c.id === activeId ? "on" : ""} onClick={() => { setActiveId(c.id); setShowHistory(false); }}>{body}</button> : <Link key={c.id} href={resultHref(c)} onClick={onClose}>{body}</Link>;
+      })}{sorted.length > 0 && <p className="ai-storage">{sorted.length} saved · {Math.ceil(storedSize(conversations) / 1000)} of {MAX_STORED_CHARS / 1000} KB used; the oldest chats are removed when full. <button onClick={clearAll}>Delete all</button></p>}</div>
+      : <div className="ai-chat" ref={chat}>{active?.summary && <div className="ai-note">Earlier messages are summarized when sent to the tutor.</div>}{messages.length === 0 && <div className="ai-empty">Try “Explain simpler,” ask what a term means, or ask me to quiz you.</div>}{messages.map((m, i) => <div className={`ai-msg ${m.role}${m.error ? " failed" : ""}`} key={i}><span>{m.role === "user" ? "You" : "S+ Coach"}</span>{(m.content || (m.streaming && !m.error)) && <p>{m.content || "Thinking…"}{m.streaming && m.content && <i className="ai-cursor" />}</p>}{!m.streaming && !m.error && m.citations?.length > 0 && <Citations citations={m.citations} content={m.content} onOpen={onClose} />}{m.stopped && <em className="ai-note">Stopped.</em>}{m.error && <div className="ai-error">{m.error} {!loading && i === messages.length - 1 && <button onClick={() => retry(i)}>Retry</button>}</div>}</div>)}</div>}
+      <form className="ai-form" onSubmit={(e) => { e.preventDefault(); send(); }}><textarea value={input} onChange={(e) => setInput(e.target.value)} placeholder="Ask about this lesson…" rows={3} />{loading ? <button type="button" className="btn" onClick={() => request.current?.abort()}>Stop</button> : <button className="btn primary" disabled={!input.trim() || exhausted || !online}>Send</button>}</form>
+      <QuotaLine quota={quota} />
       <small className="ai-disclaimer">AI can make mistakes. Use it to understand and practice the course concepts, not as a source of real exam questions.</small>
     </aside>
   </div>;
 }
+
+function Citations({ citations, content, onOpen }) {
+  const cited = citations.filter((c) => content.includes(`[${c.n}]`));
+  return <div className="ai-sources"><span>{cited.length ? "Sources" : "Related sections"}</span>{(cited.length ? cited : citations).map((c) => <Link key={c.n} href={resultHref(c)} onClick={onOpen}><b>[{c.n}]</b> {c.title}<small>{c.lesson}</small></Link>)}</div>;
+}
+
+function QuotaLine({ quota }) {
+  if (!quota || quota.remaining == null) return null;
+  const at = (iso) => {
+    const date = new Date(iso);
+    return date.toDateString() === new Date().toDateString() ? date.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" }) : date.toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" });
+  };
+  const tokens = quota.tokens && ` · ${quota.tokens.remaining.toLocaleString()} of ${quota.tokens.limit.toLocaleString()} tokens left`;
+  return <div className={`ai-quota ${quota.remaining === 0 ? "empty" : ""}`}>{quota.remaining === 0 ? `Tutor limit reached · next question ${at(quota.resetAt)}` : `${quota.remaining} of ${quota.limit} tutor questions left${tokens || ""} · resets ${at(quota.resetAt)}`}</div>;
+}
@@ -0,0 +1,65 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { useProgress } from "./ProgressProvider";
+import { MASTERY_FILTERS, MAX_DECKS, MAX_DECKS_BYTES, ankiTsv, cardsCsv, deckFromCsv, decksSize, filterCards, formatKb } from "@/lib/decks";
+import { dayKey } from "@/lib/srs";
+
+function download(text, name, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function DeckTools({ cards, chapters }) {
+  const { mastered, decks, importDeck, removeDeck } = useProgress();
+  const [selected, setSelected] = useState([]);
+  const [mastery, setMastery] = useState("all");
+  const [includeCustom, setIncludeCustom] = useState(true);
+  const [printing, setPrinting] = useState(false);
+  const [report, setReport] = useState(null);
+  const active = decks.filter((deck) => !deck.removed);
+  const chosen = useMemo(() => filterCards(cards, { chapters: selected, mastery, includeCustom }, mastered), [cards, selected, mastery, includeCustom, mastered]);
+  const toggle = (chapter) => setSelected((current) => current.includes(chapter) ? current.filter((c) => c !== chapter) : [...current, chapter].sort((a, b) => a - b));
+  const fileName = (ext) => `splus-flashcards${selected.length ? `-ch${selected.join("-")}` : ""}${mastery === "all" ? "" : `-${mastery}`}-${dayKey()}.${ext}`;
+
+  useEffect(() => {
+    if (!printing) return;
+    const done = () => setPrinting(false);
+    window.addEventListener("afterprint", done);
+    window.print();
+    return () => window.removeEventListener("afterprint", done);
+  }, [printing]);
+
+  async function choose(event) {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    if (active.length >= MAX_DECKS) return setReport({ errors: [`You can keep up to ${MAX_DECKS} imported decks. Remove one first.`] });
+    const { deck, errors } = deckFromCsv(file.name.replace(/\.(csv|txt)$/i, ""), await file.text());
+    if (deck && decksSize([...active, deck]) > MAX_DECKS_BYTES) return setReport({ errors: [`This deck needs ${formatKb(decksSize([deck]))}, but imported decks share ${formatKb(MAX_DECKS_BYTES)} and ${formatKb(decksSize(active))} are already used. Remove a deck or import fewer cards.`] });
+    if (deck) importDeck(deck);
+    setReport({ deck, errors });
+  }
+
+  return <div className="deck-tools">
+    <div className="report-card">
+      <h3>Export cards</h3>
+      <p className="course-note">Export for Anki (tab-separated, tagged <code>splus</code>, <code>lesson::01.02</code> and <code>chapter::01</code>; use <strong>File → Import</strong> in Anki), as CSV for spreadsheets, or as a printable card sheet.</p>
+      <div className="search-filters"><span>Chapters:</span>{chapters.map((chapter) => <button key={chapter.chapter} className={`chip ${selected.includes(chapter.chapter) ? "on" : ""}`} onClick={() => toggle(chapter.chapter)} title={chapter.name}>{chapter.chapter}</button>)}{selected.length > 0 && <button className="chip" onClick={() => setSelected([])}>All chapters</button>}</div>
+      <div className="search-filters"><span>Cards:</span>{MASTERY_FILTERS.map(([id, label]) => <button key={id} className={`chip ${mastery === id ? "on" : ""}`} onClick={() => setMastery(id)}>{label}</button>)}{active.length > 0 && <label className="chip"><input type="checkbox" checked={includeCustom} disabled={selected.length > 0} onChange={(e) => setIncludeCustom(e.target.checked)} /> Imported decks</label>}</div>
+      <div className="controls"><button className="btn primary" disabled={!chosen.length} onClick={() => download(ankiTsv(chosen), fileName("txt"), "text/tab-separated-values")}>Anki (.txt)</button><button className="btn" disabled={!chosen.length} onClick={() => download(cardsCsv(chosen), fileName("csv"), "text/csv")}>CSV</button><button className="btn" disabled={!chosen.length} onClick={() => setPrinting(true)}>Print card sheet</button><span className="course-note">{chosen.length} card{chosen.length === 1 ? "" : "s"}</span></div>
+    </div>
+    <div className="report-card">
+      <h3>Import a deck</h3>
+      <p className="course-note">Load a CSV with <code>front</code> and <code>back</code> columns, and optional <code>extra</code> and <code>tags</code> columns. Without a header row the columns are read in that order. Imported cards join the daily review queue next to the course cards and are saved with your progress.</p>
+      <label className="btn backup-file">Choose CSV…<input type="file" accept=".csv,text/csv,text/plain" onChange={choose} /></label>
+      {report && <div className={`notice ${report.deck ? "backup-ok" : "backup-error"}`}>{report.deck ? `Imported ${report.deck.cards.length} cards into “${report.deck.name}”.` : "Nothing was imported."}{report.errors.length > 0 && <ul>{report.errors.slice(0, 8).map((error) => <li key={error}>{error}</li>)}{report.errors.length > 8 && <li>…and {report.errors.length - 8} more.</li>}</ul>}</div>}
+      {active.length > 0 && <ul className="deck-list">{active.map((deck) => <li key={deck.id}><span><strong>{deck.name}</strong><small>{deck.cards.length} cards · imported {new Date(deck.importedAt).toLocaleDateString()}</small></span><button className="btn" onClick={() => { if (window.confirm(`Remove “${deck.name}” and its review history?`)) removeDeck(deck.id); }}>Remove</button></li>)}</ul>}
+    </div>
+    {printing && <div className="print-sheet">{chosen.map((card) => <div className="print-card" key={card.key}><div><small>{card.custom ? card.lessonId : `${card.lessonId} · ${card.lessonTitle}`}</small><strong>{card.title}</strong></div><div><p>{card.answer}</p>{card.exam && <p><em>{card.custom ? card.exam : `Exam focus: ${card.exam}`}</em></p>}</div></div>)}</div>}
+  </div>;
+}
@@ -0,0 +1,107 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useProgress } from "./ProgressProvider";
+import QuestionBody, { TypeLabel, verdict } from "./QuestionView";
+import { EXAM_DEFAULTS, PASSING_SCORE, answerRecord, formatClock, formatCredit, gradeResponse, isComplete, scaledScore, shuffle } from "@/lib/quiz";
+
+const ATTEMPT_KEY = "splus_exam_attempt_v1";
+
+export default function ExamClient({ questionBank }) {
+  const { recordQuizAttempt } = useProgress();
+  const [attempt, setAttempt] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const [config, setConfig] = useState({ count: Math.min(EXAM_DEFAULTS.count, questionBank.length), minutes: EXAM_DEFAULTS.minutes });
+
+  useEffect(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(ATTEMPT_KEY) || "null");
+      if (saved?.questions?.length) setAttempt(saved);
+    } catch {}
+    setLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (!loaded) return;
+    if (attempt) localStorage.setItem(ATTEMPT_KEY, JSON.stringify(attempt));
+    else localStorage.removeItem(ATTEMPT_KEY);
+  }, [attempt, loaded]);
+
+  const running = attempt && !attempt.submittedAt;
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  useEffect(() => {
+    if (running && now >= attempt.endsAt) submit(true);
+  }, [running, now]);
+
+  function start() {
+    const count = Math.max(1, Math.min(questionBank.length, Math.round(config.count) || 1));
+    const minutes = Math.max(1, Math.min(300, Math.round(config.minutes) || 1));
+    const startedAt = Date.now();
+    setNow(startedAt);
+    setAttempt({ id: `exam-${startedAt}`, questions: shuffle(questionBank).slice(0, count), answers: {}, flagged: [], index: 0, minutes, startedAt, endsAt: startedAt + minutes * 60000, submittedAt: null, timedOut: false });
+  }
+
+  const examCredit = (a) => Math.round(a.questions.reduce((sum, q, i) => sum + gradeResponse(q, a.answers[i]).credit, 0) * 100) / 100;
+
+  function submit(timedOut = false) {
+    const total = attempt.questions.length;
+    const correct = examCredit(attempt);
+    recordQuizAttempt({ id: attempt.id || `exam-${attempt.startedAt}`, date: new Date().toISOString(), kind: "exam", label: `Exam simulation (${total} questions)`, score: Math.round(correct / total * 100), scaled: scaledScore(correct, total), correct, total, answers: attempt.questions.map((q, i) => answerRecord(q, attempt.answers[i])) });
+    setAttempt((a) => ({ ...a, submittedAt: Math.min(Date.now(), a.endsAt), timedOut }));
+  }
+
+  function confirmSubmit() {
+    const open = attempt.questions.filter((q, i) => !isComplete(q, attempt.answers[i])).length;
+    const warning = open ? `${open} question${open === 1 ? " is" : "s are"} unanswered. ` : "";
+    if (window.confirm(`${warning}Submit the exam for scoring?`)) submit(false);
+  }
+
+  const goTo = (index) => setAttempt((a) => ({ ...a, index: Math.max(0, Math.min(a.questions.length - 1, index)) }));
+  const choose = (choice) => setAttempt((a) => ({ ...a, answers: { ...a.answers, [a.index]: choice } }));
+  const toggleFlag = () => setAttempt((a) => ({ ...a, flagged: a.flagged.includes(a.index) ? a.flagged.filter((i) => i !== a.index) : [...a.flagged, a.index] }));
+
+  const head = <div className="view-head"><div><h2>Exam Simulation</h2><p>A timed, full-length sitting with no feedback until you submit.</p></div><div className="toolbar"><Link className="btn" href="/quiz/report">My results</Link><Link className="btn" href="/quiz">Practice quiz</Link></div></div>;
+
+  if (!loaded) return <section>{head}</section>;
+
+  if (!attempt) {
+    return <section>{head}<div className="quiz-shell"><div className="result exam-setup"><div className="eyebrow">New attempt</div><h3>Configure your sitting</h3><p>The real SY0-701 exam allows up to 90 questions in 90 minutes and is scored from 100 to 900 with {PASSING_SCORE} to pass.</p><div className="exam-config"><label>Questions <input type="number" min="1" max={questionBank.length} value={config.count} onChange={(e) => setConfig((c) => ({ ...c, count: Number(e.target.value) }))} /></label><label>Minutes <input type="number" min="1" max="300" value={config.minutes} onChange={(e) => setConfig((c) => ({ ...c, minutes: Number(e.target.value) }))} /></label></div>{questionBank.length < EXAM_DEFAULTS.count && <p className="course-note">The question bank currently holds {questionBank.length} questions, so an attempt can include at most {questionBank.length}.</p>}<button className="btn primary" onClick={start}>Start exam</button></div></div></section>;
+  }
+
+  if (attempt.submittedAt) {
+    const correct = examCredit(attempt);
+    const score = scaledScore(correct, attempt.questions.length);
+    const passed = score >= PASSING_SCORE;
+    return <section>{head}<div className="quiz-shell">
+      <div className="result"><div className="eyebrow">{attempt.timedOut ? "Time expired — auto-submitted" : "Exam submitted"}</div><div className="score">{score}</div><p className={passed ? "exam-pass" : "exam-fail"}><strong>{passed ? "Pass" : "Below passing"}</strong> · passing score {PASSING_SCORE} on a 100–900 scale</p><p>{formatCredit(correct)} of {attempt.questions.length} correct · time used {formatClock((attempt.submittedAt - attempt.startedAt) / 1000)}</p><button className="btn primary" onClick={() => setAttempt(null)}>New exam</button></div>
+      <h3 className="exam-review-title">Question review</h3>
+      {attempt.questions.map((q, i) => {
+        const picked = attempt.answers[i];
+        const grade = gradeResponse(q, picked);
+        return <div className={`exam-review ${grade.credit === 1 ? "right" : "missed"}`} key={i}><div className="quiz-top"><span>Question {i + 1}{attempt.flagged.includes(i) ? " · flagged" : ""}</span><span>{picked == null ? "Unanswered" : verdict(grade).replace(/\.$/, "")}</span></div><TypeLabel question={q} /><p className="exam-review-q">{q.q}</p><QuestionBody question={q} response={picked} reveal /><div className="explain show">{q.why}</div></div>;
+      })}
+    </div></section>;
+  }
+
+  const q = attempt.questions[attempt.index];
+  const remaining = (attempt.endsAt - now) / 1000;
+  const answeredCount = attempt.questions.filter((question, i) => isComplete(question, attempt.answers[i])).length;
+  const flagged = attempt.flagged.includes(attempt.index);
+  return <section>{head}<div className="quiz-shell">
+    <div className="quiz-top"><span>Question {attempt.index + 1} of {attempt.questions.length} · {answeredCount} answered</span><span className={`exam-clock ${remaining < 300 ? "low" : ""}`}>⏱ {formatClock(remaining)}</span></div>
+    <div className="progress"><span style={{ width: `${answeredCount / attempt.questions.length * 100}%` }} /></div>
+    <TypeLabel question={q} />
+    <div className="quiz-q">{q.q}</div>
+    <QuestionBody key={attempt.index} question={q} response={attempt.answers[attempt.index]} onChange={choose} />
+    <div className="exam-actions"><button className="btn" disabled={attempt.index === 0} onClick={() => goTo(attempt.index - 1)}>← Previous</button><button className={`btn ${flagged ? "flagged" : ""}`} onClick={toggleFlag}>{flagged ? "⚑ Flagged" : "⚐ Flag for review"}</button>{attempt.index < attempt.questions.length - 1 ? <button className="btn primary" onClick={() => goTo(attempt.index + 1)}>Next →</button> : <button className="btn primary" onClick={confirmSubmit}>Submit exam</button>}</div>
+    <div className="exam-nav">{attempt.questions.map((_, i) => <button key={i} className={`${i === attempt.index ? "current" : ""} ${isComplete(attempt.questions[i], attempt.answers[i]) ? "answered" : ""} ${attempt.flagged.includes(i) ? "flagged" : ""}`} onClick={() => goTo(i)}>{i + 1}</button>)}</div>
+    <div className="exam-legend"><span>■ answered</span><span>⚑ flagged</span><button className="btn" onClick={confirmSubmit}>Submit exam</button></div>
+  </div></section>;
+}
@@ -1,17 +1,39 @@
 "use client";
 
-import { useState } from "react";
+import { useMemo, useState } from "react";
 import { useProgress } from "./ProgressProvider";
+import DeckTools from "./DeckTools";
+import { deckCards } from "@/lib/decks";
+import { shuffle } from "@/lib/quiz";
+import { GRADES, buildQueue, dayKey, previewInterval } from "@/lib/srs";
 
-export default function FlashcardsClient({ cards }) {
-  const { isMastered, setMastered } = useProgress();
-  const [deck, setDeck] = useState(cards);
+export default function FlashcardsClient({ cards: courseCards, chapters }) {
+  const { isMastered, canMaster, setMastered, flashcards, reviewFlashcard, decks, settings, updateSettings } = useProgress();
+  const cards = useMemo(() => [...courseCards, ...deckCards(decks.filter((deck) => !deck.removed))], [courseCards, decks]);
+  const [mode, setMode] = useState("review");
+  const [deck, setDeck] = useState(courseCards);
   const [pos, setPos] = useState(0);
   const [revealed, setRevealed] = useState(false);
-  const card = deck[pos];
+  const today = dayKey();
+  const { due, fresh, queue, newLeft, unseen } = useMemo(() => buildQueue(cards, flashcards, { newPerDay: settings.newCardsPerDay, today }), [cards, flashcards, settings.newCardsPerDay, today]);
+  const learned = cards.length - unseen;
+  const card = mode === "review" ? queue[0] : deck[pos];
+  const state = card ? flashcards[card.key] : null;
   const move = (d) => { setPos((p) => (p + d + deck.length) % deck.length); setRevealed(false); };
+  const grade = (value) => { reviewFlashcard(card.key, value); setRevealed(false); };
+  const browseAll = () => { setMode("browse"); setDeck(cards); setPos(0); setRevealed(false); };
+
   return <section>
-    <div className="view-head"><div><h2>Course Flashcards</h2><p>Try to explain the concept before revealing the answer and exam focus.</p></div><div className="toolbar"><button className="btn" onClick={() => { setDeck([...deck].sort(() => Math.random() - .5)); setPos(0); setRevealed(false); }}>Shuffle</button></div></div>
-    <div className="flash-shell"><div className="flash-meta"><span>Card {pos + 1} of {deck.length}</span><span>{card.lessonId} · {isMastered(card.key) ? "✓ mastered" : "not yet mastered"}</span></div><div className={`flash ${revealed ? "revealed" : ""}`} onClick={() => setRevealed((v) => !v)}><div className="front">{card.title}</div><div className="back"><strong>{card.answer}</strong><br/><br/>Exam focus: {card.exam}</div></div><div className="controls"><button className="btn" onClick={() => move(-1)}>← Previous</button><button className="btn" onClick={() => setRevealed((v) => !v)}>Reveal</button><button className="btn primary" onClick={() => { setMastered(card.key, true); move(1); }}>Mark mastered</button><button className="btn" onClick={() => move(1)}>Next →</button></div></div>
+    <div className="view-head"><div><h2>Course Flashcards</h2><p>Try to explain the concept before revealing the answer and exam focus.</p></div><div className="toolbar"><button className={`btn ${mode === "review" ? "primary" : ""}`} onClick={() => { setMode("review"); setRevealed(false); }}>Due today ({queue.length})</button><button className={`btn ${mode === "browse" ? "primary" : ""}`} onClick={browseAll}>Browse all</button><button className={`btn ${mode === "decks" ? "primary" : ""}`} onClick={() => setMode("decks")}>Import &amp; export</button>{mode === "browse" && <button className="btn" onClick={() => { setDeck(shuffle(deck)); setPos(0); setRevealed(false); }}>Shuffle</button>}</div></div>
+    <div className="pills srs-counts"><span className="pill">{due.length} reviews due</span><span className="pill">{fresh.length} new today</span><span className="pill">{learned}/{cards.length} cards learned</span><label className="pill srs-limit">New cards per day <input type="number" min="0" max="500" value={settings.newCardsPerDay} onChange={(e) => updateSettings({ newCardsPerDay: Math.max(0, Math.min(500, Number(e.target.value) || 0)) })} /></label></div>
+    {mode === "decks" ? <DeckTools cards={cards} chapters={chapters} /> : <div className="flash-shell">
+      {!card ? <div className="result"><div className="eyebrow">Caught up</div><h3>No cards due today.</h3><p>{newLeft === 0 && unseen ? "You have reached today’s new-card limit. Raise it above or come back tomorrow." : "Come back tomorrow for your next reviews, or browse the full deck."}</p><button className="btn primary" onClick={browseAll}>Browse all cards</button></div> : <>
+        <div className="flash-meta"><span>{mode === "review" ? `${queue.length} left today` : `Card ${pos + 1} of ${deck.length}`}</span><span>{card.lessonId} · {state ? `next review ${state.due}` : "new card"}{card.custom ? "" : isMastered(card.key) ? " · ✓ mastered" : " · not yet mastered"}</span></div>
+        <div className={`flash ${revealed ? "revealed" : ""}`} onClick={() => setRevealed((v) => !v)}><div className="front">{card.title}</div><div className="back"><strong>{card.answer}</strong>{card.exam && <><br/><br/>{card.custom ? card.exam : `Exam focus: ${card.exam}`}</>}</div></div>
+        {mode === "review"
+          ? <div className="controls">{revealed ? GRADES.map(([value, label]) => <button className={`btn grade-${value}`} key={value} onClick={() => grade(value)}>{label}<small>{previewInterval(state, value, today)}</small></button>) : <button className="btn primary" onClick={() => setRevealed(true)}>Show answer</button>}</div>
+          : <div className="controls"><button className="btn" onClick={() => move(-1)}>← Previous</button><button className="btn" onClick={() => setRevealed((v) => !v)}>Reveal</button>{!card.custom && <button className="btn primary" disabled={!canMaster(card.key)} title={canMaster(card.key) ? undefined : "Pass this section’s knowledge check on the lesson page first."} onClick={() => { setMastered(card.key, true); move(1); }}>Mark mastered</button>}<button className="btn" onClick={() => move(1)}>Next →</button></div>}
+      </>}
+    </div>}
   </section>;
 }
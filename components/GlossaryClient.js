@@ -0,0 +1,49 @@
+"use client";
+
+import Link from "next/link";
+import { useMemo, useState } from "react";
+import { resultHref } from "@/lib/search";
+
+export default function GlossaryClient({ glossary, chapters }) {
+  const [query, setQuery] = useState("");
+  const [view, setView] = useState("az");
+  const [selected, setSelected] = useState([]);
+  const [conflictsOnly, setConflictsOnly] = useState(false);
+  const conflicts = glossary.filter((entry) => entry.conflict).length;
+
+  const entries = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return glossary.filter((entry) => (!q || entry.term.toLowerCase().includes(q) || entry.definitions.some((d) => d.text.toLowerCase().includes(q)))
+      && (!selected.length || entry.chapters.some((chapter) => selected.includes(chapter)))
+      && (!conflictsOnly || entry.conflict));
+  }, [glossary, query, selected, conflictsOnly]);
+
+  const groups = useMemo(() => {
+    if (view === "az") {
+      const letters = [...new Set(entries.map((entry) => entry.letter))];
+      return letters.map((letter) => ({ id: `letter-${letter}`, label: letter, entries: entries.filter((entry) => entry.letter === letter) }));
+    }
+    return chapters.filter((chapter) => !selected.length || selected.includes(chapter.chapter))
+      .map((chapter) => ({ id: `chapter-${chapter.chapter}`, label: `Chapter ${chapter.chapter}: ${chapter.name}`, entries: entries.filter((entry) => entry.chapters.includes(chapter.chapter)) }))
+      .filter((group) => group.entries.length);
+  }, [entries, view, chapters, selected]);
+
+  const toggle = (chapter) => setSelected((current) => current.includes(chapter) ? current.filter((c) => c !== chapter) : [...current, chapter].sort((a, b) => a - b));
+
+  return <section>
+    <div className="view-head"><div><h2>Glossary</h2><p>{glossary.length} key terms collected from every lesson, with links back to the sections that define them.</p></div></div>
+    <input className="search-page-input" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Filter terms and definitions…" />
+    <div className="search-filters"><span>View:</span><button className={`chip ${view === "az" ? "on" : ""}`} onClick={() => setView("az")}>A–Z</button><button className={`chip ${view === "chapter" ? "on" : ""}`} onClick={() => setView("chapter")}>By chapter</button>{conflicts > 0 && <button className={`chip ${conflictsOnly ? "on" : ""}`} onClick={() => setConflictsOnly((v) => !v)}>Conflicts only ({conflicts})</button>}</div>
+    <div className="search-filters"><span>Chapters:</span>{chapters.map((chapter) => <button key={chapter.chapter} className={`chip ${selected.includes(chapter.chapter) ? "on" : ""}`} onClick={() => toggle(chapter.chapter)} title={chapter.name}>{chapter.chapter}</button>)}{selected.length > 0 && <button className="chip" onClick={() => setSelected([])}>All chapters</button>}</div>
+    {view === "az" && groups.length > 1 && <nav className="glossary-letters">{groups.map((group) => <a key={group.id} href={`#${group.id}`}>{group.label}</a>)}</nav>}
+    {!entries.length ? <p className="course-note">No terms match{selected.length ? " in the selected chapters" : ""}.</p>
+      : groups.map((group) => <div className="glossary-group" id={group.id} key={group.id}><h3>{group.label}</h3>{group.entries.map((entry) => <GlossaryEntry key={entry.slug} entry={entry} />)}</div>)}
+  </section>;
+}
+
+function GlossaryEntry({ entry }) {
+  return <article className="glossary-entry" id={`term-${entry.slug}`}>
+    <h4>{entry.term}{entry.conflict && <span className="pill warn">{entry.definitions.length} definitions</span>}</h4>
+    {entry.definitions.map((definition, i) => <div className="glossary-def" key={i}><p>{definition.text}</p><div className="glossary-sources">{definition.sources.map((source) => <Link key={`${source.lessonId}-${source.sectionNumber}`} href={resultHref(source)}>{source.lessonId} · {source.title}</Link>)}</div></div>)}
+  </article>;
+}
@@ -0,0 +1,20 @@
+"use client";
+
+import Link from "next/link";
+import { useState } from "react";
+
+export function LinkedText({ segments, onMark }) {
+  return segments.map((segment, i) => {
+    const text = segment.entry ? <GlossaryTerm key={i} entry={segment.entry}>{segment.text}</GlossaryTerm> : segment.text;
+    if (segment.highlight == null) return text;
+    return <mark key={i} className="note-mark" title={onMark ? "Click to remove this highlight" : undefined} onClick={(e) => { if (onMark && !e.target.closest(".gloss")) onMark(segment.highlight); }}>{text}</mark>;
+  });
+}
+
+export default function GlossaryTerm({ entry, children }) {
+  const [open, setOpen] = useState(false);
+  return <span className={`gloss ${open ? "open" : ""}`} onMouseLeave={() => setOpen(false)} onBlur={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setOpen(false); }}>
+    <button type="button" aria-expanded={open} onClick={() => setOpen((v) => !v)}>{children}</button>
+    <span className="gloss-tip" role="tooltip"><strong>{entry.term}</strong>{entry.definition}{entry.conflict && <em> The course defines this term more than one way.</em>}<Link href={`/glossary#term-${entry.slug}`}>Open in glossary →</Link></span>
+  </span>;
+}
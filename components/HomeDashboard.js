@@ -2,9 +2,11 @@
 
 import Link from "next/link";
 import { useProgress } from "./ProgressProvider";
+import StudyPlanner from "./StudyPlanner";
+import Readiness from "./Readiness";
 
-export default function HomeDashboard({ chapters, progressShape, lessonCount, learningCount, quizCount }) {
-  const { mastered, bestScore } = useProgress();
+export default function HomeDashboard({ chapters, progressShape, lessonCount, learningCount, quizCount, readiness }) {
+  const { mastered, bestScore, quizAttempts } = useProgress();
   const completedLessons = progressShape.filter((lesson) => lesson.keys.length && lesson.keys.every((key) => mastered.has(key))).length;
   const completedChapters = chapters.filter((chapter) => {
     const chapterLessons = progressShape.filter((lesson) => lesson.chapter === chapter.chapter);
@@ -24,9 +26,11 @@ export default function HomeDashboard({ chapters, progressShape, lessonCount, le
     <div className="stats">
       <Stat value={`${completedLessons}/${lessonCount}`} label="Lessons completed" pct={completedLessons / lessonCount * 100} />
       <Stat value={`${mastered.size}/${learningCount}`} label="Learning sections mastered" pct={mastered.size / learningCount * 100} />
-      <Stat value={bestScore == null ? "—" : `${bestScore}%`} label="Best scenario quiz" pct={bestScore || 0} />
+      <RecentAttempts attempts={quizAttempts} bestScore={bestScore} />
       <Stat value={`${completedChapters}/${chapters.length}`} label="Chapters completed" pct={completedChapters / chapters.length * 100} />
     </div>
+    <Readiness shape={readiness} compact />
+    <StudyPlanner progressShape={progressShape} />
     <div className="action-grid">
       <Link className="action" href="/course"><strong>Start the Full Course</strong><span>Study the lessons in order and learn each concept directly on the website.</span></Link>
       <Link className="action" href={`/course/${firstOpen?.id || "01.02"}`}><strong>Resume Learning</strong><span>Jump to the first lesson that still has an unmastered learning section.</span></Link>
@@ -36,6 +40,11 @@ export default function HomeDashboard({ chapters, progressShape, lessonCount, le
   </section>;
 }
 
+function RecentAttempts({ attempts, bestScore }) {
+  const latest = attempts[attempts.length - 1];
+  return <div className="stat"><div className="big">{latest ? `${latest.score}%` : "—"}</div><div className="label">Latest quiz{bestScore == null ? "" : ` · best ${bestScore}%`}</div>{attempts.length > 0 ? <Link className="recent-attempts" href="/quiz/report">{attempts.slice(-5).reverse().map((attempt) => <span key={attempt.id} title={`${new Date(attempt.date).toLocaleString()} · ${attempt.label}`}>{attempt.score}%</span>)}<em>View report →</em></Link> : <div className="progress"><span style={{ width: 0 }} /></div>}</div>;
+}
+
 function Stat({ value, label, pct }) {
   return <div className="stat"><div className="big">{value}</div><div className="label">{label}</div><div className="progress"><span style={{ width: `${Math.max(0, Math.min(100, pct || 0))}%` }} /></div></div>;
 }
@@ -1,18 +1,28 @@
 "use client";
 
 import Link from "next/link";
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { useProgress } from "./ProgressProvider";
 import AITutor from "./AITutor";
+import { useOnline } from "./OfflineSupport";
+import { LinkedText } from "./GlossaryTerm";
+import Markdown from "./Markdown";
+import { linkTerms, termMatcher, termSlug } from "@/lib/glossary";
+import { addHighlight, markSegments, placeHighlights } from "@/lib/notes";
+import { TERM_QUIZ_LENGTH, TERM_QUIZ_PASS } from "@/lib/term-quiz";
 
 function keyFor(lessonId, n) { return `${lessonId}-${n}`; }
 
-export default function LessonClient({ lesson, previous, next, nextPreview }) {
-  const { mastered, setMastered } = useProgress();
+export default function LessonClient({ lesson, previous, next, nextPreview, practiceCount, termQuizCount = 0, glossary = [] }) {
+  const { mastered, setMastered, checks, recordCheck, notes, updateNote, lessonQuizzes, settings, updateSettings } = useProgress();
+  const termQuiz = lessonQuizzes[lesson.id];
   const learning = lesson.slides.filter((s) => s.instructional);
   const done = learning.filter((s) => mastered.has(keyFor(lesson.id, s.n))).length;
+  const checked = learning.filter((s) => s.course?.check_q);
+  const passed = checked.filter((s) => checks[keyFor(lesson.id, s.n)]?.result === "pass").length;
   const [tutorSection, setTutorSection] = useState(null);
   const [tutorOpen, setTutorOpen] = useState(false);
+  const matcher = useMemo(() => termMatcher(glossary), [glossary]);
 
   useEffect(() => {
     if (location.hash) setTimeout(() => document.querySelector(location.hash)?.scrollIntoView({ behavior: "smooth", block: "start" }), 80);
@@ -25,36 +35,149 @@ export default function LessonClient({ lesson, previous, next, nextPreview }) {
   return <div className="lesson-page">
     <div className="crumb"><Link className="btn" href="/course">← Full Course</Link> &nbsp; Chapter {lesson.chapter}: {lesson.chapter_name}</div>
     <h2 className="lesson-title">{lesson.id} {lesson.title}</h2>
-    <div className="lesson-meta"><span className="pill">{learning.length} learning sections</span><span className="pill">{done}/{learning.length} mastered</span><button className="btn ai-inline" onClick={() => { setTutorSection(null); setTutorOpen(true); }}>✦ Ask AI about this lesson</button></div>
+    <div className="lesson-meta"><span className="pill">{learning.length} learning sections</span><span className="pill">{done}/{learning.length} mastered</span>{checked.length > 0 && <span className="pill">{passed}/{checked.length} checks passed</span>}{checked.length > 0 && <label className="pill check-gate"><input type="checkbox" checked={settings.requireCheckToMaster} onChange={(e) => updateSettings({ requireCheckToMaster: e.target.checked })} /> Require a passing check to master</label>}<button className="btn ai-inline" onClick={() => { setTutorSection(null); setTutorOpen(true); }}>✦ Ask AI about this lesson</button>{practiceCount > 0 && <Link className="btn" href={`/quiz?lesson=${lesson.id}`}>Practice this lesson ({practiceCount})</Link>}{termQuiz && <span className="pill">Term quiz best {termQuiz.best}%</span>}</div>
     <div className="lesson-intro"><h3>Lesson goals</h3><p>This lesson is self-contained. Read each section, work through examples, use the exam focus to understand how CompTIA may frame the concept, and answer the knowledge check before marking the section mastered.</p>{objectives.length > 0 && <ul className="lesson-objectives">{objectives.map((x) => <li key={x}>Explain or recognize <strong>{x}</strong> in a Security+ scenario.</li>)}</ul>}<p className="course-note">Original deck wording is available only under <strong>Source reference</strong>. You do not need the ZIP files to learn this lesson.</p></div>
 
     {lesson.slides.map((section) => section.instructional
-      ? <LearningSection key={section.n} lesson={lesson} section={section} done={mastered.has(keyFor(lesson.id, section.n))} onDone={(v) => setMastered(keyFor(lesson.id, section.n), v)} onTutor={() => askTutor(section)} />
+      ? <LearningSection key={section.n} lesson={lesson} section={section} matcher={matcher} done={mastered.has(keyFor(lesson.id, section.n))} check={checks[keyFor(lesson.id, section.n)]} onCheck={(result) => recordCheck(keyFor(lesson.id, section.n), result)} note={notes[keyFor(lesson.id, section.n)]} onNote={(patch) => updateNote(keyFor(lesson.id, section.n), patch)} gated={settings.requireCheckToMaster} onDone={(v) => setMastered(keyFor(lesson.id, section.n), v)} onTutor={() => askTutor(section)} />
       : <TransitionSection key={section.n} lesson={lesson} section={section} nextPreview={nextPreview} />
     )}
 
+    {termQuizCount > 0 && <div className={`lesson-quiz ${termQuiz?.best >= TERM_QUIZ_PASS ? "passed" : ""}`}><div><div className="eyebrow">End-of-lesson quiz</div><h3>Test yourself on this lesson’s key terms</h3><p className="course-note">{Math.min(termQuizCount, TERM_QUIZ_LENGTH)} multiple-choice questions drawn from {termQuizCount} generated from the lesson’s definitions, matching terms to definitions and back. Score {TERM_QUIZ_PASS}% to pass.</p>{termQuiz && <p className="lesson-quiz-result">{termQuiz.best >= TERM_QUIZ_PASS ? "✓ Passed" : "Not passed yet"} · best {termQuiz.best}% · last {termQuiz.last}% · {termQuiz.attempts} attempt{termQuiz.attempts === 1 ? "" : "s"}</p>}</div><Link className="btn primary" href={`/course/${lesson.id}/quiz`}>{termQuiz ? "Retake the quiz" : "Start the quiz"}</Link></div>}
     <div className="lesson-nav">{previous ? <Link className="btn" href={`/course/${previous.id}`}>← {previous.id} {previous.title}</Link> : <span />}{next ? <Link className="btn primary" href={`/course/${next.id}`}>{next.id} {next.title} →</Link> : <Link className="btn primary" href="/quiz">Take a scenario quiz →</Link>}</div>
     <AITutor open={tutorOpen} onClose={() => setTutorOpen(false)} lesson={lesson} section={tutorSection} />
   </div>;
 }
 
-function LearningSection({ lesson, section, done, onDone, onTutor }) {
+function LearningSection({ lesson, section, matcher, done, check, onCheck, note, onNote, gated, onDone, onTutor }) {
   const c = section.course || {};
+  const locked = gated && !done && !!c.check_q && check?.result !== "pass";
+  const linked = useMemo(() => {
+    const seen = new Set([termSlug(section.title), ...(c.defs?.length ? c.defs : section.defs).map((d) => termSlug(d.term))]);
+    return {
+      learn: linkTerms(c.learn || section.teach, matcher, seen),
+      breakdown: (c.breakdown || []).map((item) => linkTerms(item.explanation, matcher, seen)),
+      why: linkTerms(c.why, matcher, seen),
+      example: linkTerms(c.example, matcher, seen),
+      exam: linkTerms(c.exam, matcher, seen),
+    };
+  }, [section, matcher]);
+  const highlights = note?.highlights || [];
+  const marked = (block, text) => ({ block, text, segments: linked[block], highlights, onHighlight: (range) => onNote({ highlights: addHighlight(highlights, { ...range, block, text }) }), onRemove: (index) => onNote({ highlights: highlights.filter((_, i) => i !== index) }) });
   return <article className={`slide-card ${done ? "done" : ""}`} id={`section-${lesson.id}-${section.n}`}>
-    <div className="slide-head"><div className="slide-num">{section.n}</div><div><h4>{section.title}</h4><small>Learning section</small></div><div className="slide-actions"><button className="understand ai-section" onClick={onTutor}>✦ Ask AI Tutor</button><button className="understand" onClick={() => onDone(!done)}>{done ? "✓ Mastered" : "Mark mastered"}</button></div></div>
+    <div className="slide-head"><div className="slide-num">{section.n}</div><div><h4>{section.title}</h4><small>Learning section</small></div><div className="slide-actions"><button className={`understand bookmark ${note?.bookmarked ? "on" : ""}`} aria-pressed={!!note?.bookmarked} title={note?.bookmarked ? "Remove bookmark" : "Bookmark this section"} onClick={() => onNote({ bookmarked: !note?.bookmarked })}>{note?.bookmarked ? "★" : "☆"}</button><button className="understand ai-section" onClick={onTutor}>✦ Ask AI Tutor</button><button className="understand" disabled={locked} title={locked ? "Pass the knowledge check in this section first" : undefined} onClick={() => onDone(!done)}>{done ? "✓ Mastered" : locked ? "🔒 Pass the check to master" : "Mark mastered"}</button></div></div>
     <div className="slide-body">
-      <h5>Learn this</h5><p className="course-lead">{c.learn || section.teach}</p>
-      {!!c.breakdown?.length && <div className="course-block"><h5>Break it down</h5><div className="breakdown-list">{c.breakdown.map((item, i) => <div className="breakdown-item" key={`${item.term}-${i}`}><strong>{item.term}</strong><p>{item.explanation}</p></div>)}</div></div>}
-      {!!(c.defs?.length || section.defs?.length) && <div className="course-block"><h5>Key terms</h5><div className="defs">{(c.defs?.length ? c.defs : section.defs).map((d, i) => { const term = Array.isArray(d) ? d[0] : d.term; const definition = Array.isArray(d) ? d[1] : d.definition; return <div className="def" key={`${term}-${i}`}><strong>{term}</strong> — {definition}</div>; })}</div></div>}
-      {c.why && <div className="course-block why"><h5>Why it matters</h5><p>{c.why}</p></div>}
-      {c.example && <div className="course-block example"><h5>Example</h5><p>{c.example}</p></div>}
-      {c.exam && <div className="course-block exam"><h5>Security+ exam focus</h5><p>{c.exam}</p></div>}
-      {c.check_q && <details className="recall"><summary>Check your understanding</summary><p><strong>Question:</strong> {c.check_q}</p><div className="answer"><strong>Answer:</strong> {c.check_a}</div></details>}
+      <h5>Learn this</h5><Highlightable className="course-lead" {...marked("learn", c.learn || section.teach || "")} />
+      {!!c.breakdown?.length && <div className="course-block"><h5>Break it down</h5><div className="breakdown-list">{c.breakdown.map((item, i) => <div className="breakdown-item" key={`${item.term}-${i}`}><strong>{item.term}</strong><p><LinkedText segments={linked.breakdown[i]} /></p></div>)}</div></div>}
+      {!!(c.defs?.length || section.defs?.length) && <div className="course-block"><h5>Key terms</h5><div className="defs">{(c.defs?.length ? c.defs : section.defs).map(({ term, definition }, i) => <div className="def" key={`${term}-${i}`}><strong>{term}</strong> — {definition}</div>)}</div></div>}
+      {c.why && <div className="course-block why"><h5>Why it matters</h5><p><LinkedText segments={linked.why} /></p></div>}
+      {c.example && <div className="course-block example"><h5>Example</h5><Highlightable {...marked("example", c.example)} /></div>}
+      {c.exam && <div className="course-block exam"><h5>Security+ exam focus</h5><Highlightable {...marked("exam", c.exam)} /></div>}
+      {c.check_q && <KnowledgeCheck key={check?.at || "new"} lessonId={lesson.id} section={section} check={check} onCheck={onCheck} />}
+      <SectionNotes note={note} onNote={onNote} />
       <details className="raw"><summary>Source reference — optional</summary><pre>{section.raw}</pre></details>
     </div>
   </article>;
 }
 
+function textOffset(root, node, offset) {
+  if (node.nodeType !== Node.TEXT_NODE) return null;
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, { acceptNode: (n) => n.parentElement.closest(".gloss-tip") ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT });
+  let total = 0;
+  for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+    if (n === node) return total + offset;
+    total += n.length;
+  }
+  return null;
+}
+
+function Highlightable({ className, text, segments, highlights, block, onHighlight, onRemove }) {
+  const ref = useRef(null);
+  const [pending, setPending] = useState(null);
+  const marked = useMemo(() => markSegments(segments, placeHighlights(text, highlights, block)), [segments, text, highlights, block]);
+
+  useEffect(() => {
+    if (!pending) return;
+    const clear = () => { if (window.getSelection().isCollapsed) setPending(null); };
+    const dismiss = () => setPending(null);
+    document.addEventListener("selectionchange", clear);
+    window.addEventListener("scroll", dismiss, { passive: true });
+    return () => { document.removeEventListener("selectionchange", clear); window.removeEventListener("scroll", dismiss); };
+  }, [pending]);
+
+  function capture() {
+    const selection = window.getSelection();
+    if (selection.isCollapsed || !selection.rangeCount) return setPending(null);
+    const range = selection.getRangeAt(0);
+    if (!ref.current.contains(range.startContainer) || !ref.current.contains(range.endContainer)) return setPending(null);
+    const start = textOffset(ref.current, range.startContainer, range.startOffset);
+    const end = textOffset(ref.current, range.endContainer, range.endOffset);
+    if (start == null || end == null || end <= start || !text.slice(start, end).trim()) return setPending(null);
+    const rect = range.getBoundingClientRect();
+    setPending({ start, end, top: rect.bottom + 6, left: rect.left + rect.width / 2 });
+  }
+
+  return <>
+    <p className={className} ref={ref} onMouseUp={capture} onKeyUp={capture}><LinkedText segments={marked} onMark={onRemove} /></p>
+    {pending && <button className="highlight-pop" style={{ top: pending.top, left: pending.left }} onMouseDown={(e) => e.preventDefault()} onClick={() => { onHighlight({ start: pending.start, end: pending.end }); window.getSelection().removeAllRanges(); setPending(null); }}>🖍 Highlight</button>}
+  </>;
+}
+
+function SectionNotes({ note, onNote }) {
+  const saved = note?.text || "";
+  const [draft, setDraft] = useState(saved);
+  const [preview, setPreview] = useState(false);
+
+  useEffect(() => {
+    if (draft === saved) return;
+    const timer = setTimeout(() => onNote({ text: draft }), 600);
+    return () => clearTimeout(timer);
+  }, [draft]);
+
+  const count = note?.highlights?.length || 0;
+  return <details className="notes-panel" open={!!saved || undefined}>
+    <summary>📝 My notes{count ? ` · ${count} highlight${count === 1 ? "" : "s"}` : ""}</summary>
+    <div className="notes-tabs"><button className={`chip ${preview ? "" : "on"}`} onClick={() => setPreview(false)}>Write</button><button className={`chip ${preview ? "on" : ""}`} disabled={!draft.trim()} onClick={() => setPreview(true)}>Preview</button><Link href="/notes">All notes →</Link></div>
+    {preview && draft.trim() ? <Markdown text={draft} /> : <textarea value={draft} onChange={(e) => setDraft(e.target.value)} onBlur={() => draft !== saved && onNote({ text: draft })} placeholder="Write your own notes for this section. Markdown works: **bold**, lists, `code`…" />}
+    <p className="course-note">Saved automatically with your progress. Select text in the Learn, Example or Exam focus blocks to highlight it.</p>
+  </details>;
+}
+
+function KnowledgeCheck({ lessonId, section, check, onCheck }) {
+  const c = section.course;
+  const [answer, setAnswer] = useState("");
+  const [revealed, setRevealed] = useState(false);
+  const [retrying, setRetrying] = useState(false);
+  const [grading, setGrading] = useState(false);
+  const [error, setError] = useState("");
+  const online = useOnline();
+
+  async function gradeWithAi() {
+    setGrading(true);
+    setError("");
+    try {
+      const response = await fetch("/api/tutor/grade", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ lessonId, sectionNumber: section.n, answer }) });
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || "AI grading failed.");
+      onCheck({ answer, result: body.verdict, grader: "ai", feedback: body.feedback });
+    } catch (e) {
+      setError(e.message || "AI grading failed. Grade your answer yourself against the model answer.");
+    } finally {
+      setGrading(false);
+    }
+  }
+
+  if (check && !retrying) {
+    return <div className={`recall check ${check.result}`}><h5>Check your understanding</h5><p><strong>Question:</strong> {c.check_q}</p>{check.answer && <div className="check-attempt"><strong>Your answer:</strong> {check.answer}</div>}<div className="answer"><strong>Model answer:</strong> {c.check_a}</div><p className="check-result">{check.result === "pass" ? "✓ Passed" : "✗ Not yet"} · {check.grader === "ai" ? "graded by the AI Tutor" : "self-graded"} · {new Date(check.at).toLocaleDateString()}</p>{check.feedback && <p className="course-note">{check.feedback}</p>}<button className="btn" onClick={() => setRetrying(true)}>Try again</button></div>;
+  }
+  return <div className="recall check">
+    <h5>Check your understanding</h5><p><strong>Question:</strong> {c.check_q}</p>
+    <textarea value={answer} readOnly={revealed} onChange={(e) => setAnswer(e.target.value)} placeholder="Answer in your own words before you look at the model answer…" />
+    {!revealed ? <div className="controls"><button className="btn primary" disabled={!answer.trim()} onClick={() => setRevealed(true)}>Show model answer</button>{retrying && <button className="btn" onClick={() => setRetrying(false)}>Cancel</button>}</div>
+      : <><div className="answer"><strong>Model answer:</strong> {c.check_a}</div><p className="course-note">Compare your answer with the model answer, then grade it.</p><div className="controls"><button className="btn" onClick={() => onCheck({ answer, result: "pass", grader: "self" })}>✓ I got it</button><button className="btn" onClick={() => onCheck({ answer, result: "fail", grader: "self" })}>✗ Not quite</button><button className="btn ai-inline" disabled={grading || !online} title={online ? undefined : "AI grading needs an internet connection"} onClick={gradeWithAi}>{grading ? "Grading…" : "✦ Grade with AI"}</button></div>{error && <div className="notice">{error}</div>}</>}
+  </div>;
+}
+
 function TransitionSection({ lesson, section, nextPreview }) {
   const index = lesson.slides.findIndex((s) => s.n === section.n);
   const nearby = [];
@@ -66,6 +189,6 @@ function TransitionSection({ lesson, section, nextPreview }) {
   const preview = nearby.length ? nearby.map((s) => ({ title: s.title, points: s.points })) : (nextPreview?.sections || []);
   return <article className="slide-card transition-card" id={`section-${lesson.id}-${section.n}`}>
     <div className="slide-head"><div className="slide-num">{section.n}</div><div><h4>{section.title}</h4><small>What You’ll Learn</small></div></div>
-    <div className="slide-body"><h5>What You’ll Learn</h5><p className="preview-intro">This section introduces <strong>{section.title}</strong>. Use the preview below to know what to focus on next.</p>{preview.length > 0 && <><h5>You’ll learn these concepts</h5><ul className="preview-focus">{preview.map((item, i) => <li key={`${item.title}-${i}`}><strong>{item.title}</strong>{item.points?.length ? ` — ${item.points.slice(0, 3).join(", ")}` : ""}</li>)}</ul></>}<div className="preview-goal"><strong>By the end:</strong> You should be able to explain <em>{section.title}</em> in your own words and connect it to the concepts that follow.</div>{section.defs?.length > 0 && <div className="defs">{section.defs.map((d, i) => <div className="def" key={i}><strong>{d[0]}</strong> — {d[1]}</div>)}</div>}<details className="raw"><summary>Source reference — optional</summary><pre>{section.raw}</pre></details></div>
+    <div className="slide-body"><h5>What You’ll Learn</h5><p className="preview-intro">This section introduces <strong>{section.title}</strong>. Use the preview below to know what to focus on next.</p>{preview.length > 0 && <><h5>You’ll learn these concepts</h5><ul className="preview-focus">{preview.map((item, i) => <li key={`${item.title}-${i}`}><strong>{item.title}</strong>{item.points?.length ? ` — ${item.points.slice(0, 3).join(", ")}` : ""}</li>)}</ul></>}<div className="preview-goal"><strong>By the end:</strong> You should be able to explain <em>{section.title}</em> in your own words and connect it to the concepts that follow.</div>{section.defs?.length > 0 && <div className="defs">{section.defs.map(({ term, definition }, i) => <div className="def" key={i}><strong>{term}</strong> — {definition}</div>)}</div>}<details className="raw"><summary>Source reference — optional</summary><pre>{section.raw}</pre></details></div>
   </article>;
 }
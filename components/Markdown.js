@@ -0,0 +1,21 @@
+import { parseInline, parseMarkdown } from "@/lib/markdown";
+
+function Inline({ text }) {
+  return parseInline(text).map((part, i) => {
+    if (part.type === "code") return <code key={i}>{part.text}</code>;
+    if (part.type === "strong") return <strong key={i}>{part.text}</strong>;
+    if (part.type === "em") return <em key={i}>{part.text}</em>;
+    if (part.type === "link") return part.href ? <a key={i} href={part.href} target={part.href.startsWith("http") ? "_blank" : undefined} rel="noreferrer">{part.text}</a> : part.text;
+    return part.text;
+  });
+}
+
+export default function Markdown({ text }) {
+  return <div className="markdown">{parseMarkdown(text).map((block, i) => {
+    if (block.type === "heading") { const Tag = `h${Math.min(6, block.level + 3)}`; return <Tag key={i}><Inline text={block.text} /></Tag>; }
+    if (block.type === "code") return <pre key={i}><code>{block.text}</code></pre>;
+    if (block.type === "list") { const Tag = block.ordered ? "ol" : "ul"; return <Tag key={i}>{block.items.map((item, j) => <li key={j}><Inline text={item} /></li>)}</Tag>; }
+    if (block.type === "quote") return <blockquote key={i}><Inline text={block.text} /></blockquote>;
+    return <p key={i}><Inline text={block.text} /></p>;
+  })}</div>;
+}
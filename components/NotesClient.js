@@ -0,0 +1,55 @@
+"use client";
+
+import Link from "next/link";
+import { useMemo, useState } from "react";
+import { useProgress } from "./ProgressProvider";
+import Markdown from "./Markdown";
+import { NOTE_BLOCKS, isEmptyNote, notesMarkdown } from "@/lib/notes";
+import { dayKey } from "@/lib/srs";
+
+const FILTERS = [["all", "Everything"], ["bookmarks", "Bookmarks"], ["notes", "Notes"], ["highlights", "Highlights"]];
+const BLOCK_LABELS = Object.fromEntries(NOTE_BLOCKS);
+
+export default function NotesClient({ sections, chapters }) {
+  const { ready, notes, updateNote } = useProgress();
+  const [query, setQuery] = useState("");
+  const [filter, setFilter] = useState("all");
+
+  const entries = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return sections.filter((section) => !isEmptyNote(notes[section.key])).map((section) => ({ section, note: notes[section.key] })).filter(({ section, note }) =>
+      (filter === "all" || (filter === "bookmarks" && note.bookmarked) || (filter === "notes" && note.text.trim()) || (filter === "highlights" && note.highlights.length))
+      && (!q || [section.title, section.lessonTitle, section.lessonId, note.text, ...note.highlights.map((h) => h.text)].some((text) => text.toLowerCase().includes(q))));
+  }, [sections, notes, query, filter]);
+
+  const all = Object.values(notes).filter((note) => !isEmptyNote(note));
+  const counts = { bookmarks: all.filter((note) => note.bookmarked).length, notes: all.filter((note) => note.text.trim()).length, highlights: all.reduce((sum, note) => sum + note.highlights.length, 0) };
+  const groups = chapters.map((chapter) => ({ ...chapter, entries: entries.filter(({ section }) => section.chapter === chapter.chapter) })).filter((group) => group.entries.length);
+
+  function exportMarkdown() {
+    const url = URL.createObjectURL(new Blob([notesMarkdown(entries, window.location.origin)], { type: "text/markdown" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `splus-study-notes-${dayKey()}.md`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  return <section>
+    <div className="view-head"><div><h2>My Notes</h2><p>Bookmarks, highlights and notes from every lesson, grouped by chapter. Add them from the ☆ button, the 📝 My notes panel, or by selecting text in a learning section.</p></div><div className="toolbar"><button className="btn primary" disabled={!entries.length} onClick={exportMarkdown}>Export as Markdown</button></div></div>
+    <input className="search-page-input" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search your notes and highlights…" />
+    <div className="search-filters"><span>Show:</span>{FILTERS.map(([id, label]) => <button key={id} className={`chip ${filter === id ? "on" : ""}`} onClick={() => setFilter(id)}>{label}{id !== "all" ? ` (${counts[id]})` : ""}</button>)}</div>
+    {!ready ? <p className="course-note">Loading your notes…</p>
+      : !all.length ? <div className="result"><div className="eyebrow">No notes yet</div><h3>Nothing saved so far.</h3><p>Open a lesson, bookmark a section with ☆, select text to highlight it, or write in 📝 My notes. Everything shows up here.</p><Link className="btn primary" href="/course">Go to the course</Link></div>
+      : !entries.length ? <p className="course-note">No notes match{query.trim() ? ` “${query.trim()}”` : ""}.</p>
+      : groups.map((group) => <div className="notes-group" key={group.chapter}><h3>Chapter {group.chapter}: {group.name}</h3>{group.entries.map(({ section, note }) => <NoteCard key={section.key} section={section} note={note} onNote={(patch) => updateNote(section.key, patch)} />)}</div>)}
+  </section>;
+}
+
+function NoteCard({ section, note, onNote }) {
+  return <article className="note-card">
+    <div className="note-card-head"><Link href={`/course/${section.lessonId}#section-${section.key}`}><small>{section.lessonId} {section.lessonTitle}</small><strong>{section.n}. {section.title}</strong></Link><button className={`understand bookmark ${note.bookmarked ? "on" : ""}`} aria-pressed={note.bookmarked} title={note.bookmarked ? "Remove bookmark" : "Bookmark this section"} onClick={() => onNote({ bookmarked: !note.bookmarked })}>{note.bookmarked ? "★" : "☆"}</button></div>
+    {note.highlights.map((highlight, i) => <blockquote className="note-highlight" key={`${highlight.block}-${highlight.start}`}><mark>{highlight.text}</mark><small>{BLOCK_LABELS[highlight.block]} · <button onClick={() => onNote({ highlights: note.highlights.filter((_, j) => j !== i) })}>Remove</button></small></blockquote>)}
+    {note.text.trim() && <Markdown text={note.text} />}
+  </article>;
+}
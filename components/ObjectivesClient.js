@@ -0,0 +1,39 @@
+"use client";
+
+import Link from "next/link";
+import { useState } from "react";
+import { useProgress } from "./ProgressProvider";
+import Readiness from "./Readiness";
+import { COVERAGE_LABELS } from "@/lib/objectives";
+
+const FILTERS = [["all", "All objectives"], ["gaps", "Gaps only"]];
+
+export default function ObjectivesClient({ domains, rows, shape }) {
+  const { mastered } = useProgress();
+  const [filter, setFilter] = useState("all");
+  const gaps = rows.filter((row) => row.status !== "covered").length;
+
+  return <section>
+    <div className="view-head"><div><h2>Exam Objectives</h2><p>Every SY0-701 objective with the lessons, flashcards and practice questions mapped to it. Partial objectives have lessons but no questions, or questions but no lessons.</p></div></div>
+    <Readiness shape={shape} />
+    <div className="search-filters"><span>Show:</span>{FILTERS.map(([id, label]) => <button key={id} className={`chip ${filter === id ? "on" : ""}`} onClick={() => setFilter(id)}>{label}{id === "gaps" ? ` (${gaps})` : ""}</button>)}</div>
+    {domains.map((domain) => {
+      const list = rows.filter((row) => row.domain === domain.domain && (filter === "all" || row.status !== "covered"));
+      const covered = rows.filter((row) => row.domain === domain.domain && row.status === "covered").length;
+      if (!list.length) return null;
+      return <div className="report-card" key={domain.domain}>
+        <h3>Domain {domain.domain}: {domain.name} <small className="course-note">{domain.weight}% of the exam · {covered}/{domain.objectives.length} objectives covered</small></h3>
+        <table className="report-table objective-table"><thead><tr><th>Objective</th><th>Lessons</th><th>Flashcards</th><th>Scenario</th><th>Term quiz</th><th>Status</th></tr></thead>
+          <tbody>{list.map((row) => <tr key={row.id} id={`objective-${row.id}`}>
+            <td><strong>{row.id}</strong> {row.title}</td>
+            <td>{row.lessons.length ? row.lessons.map((lesson) => <Link key={lesson.id} href={`/course/${lesson.id}`} title={lesson.title}>{lesson.id}</Link>) : "—"}</td>
+            <td>{row.keys.length ? `${row.keys.filter((key) => mastered.has(key)).length}/${row.keys.length}` : "—"}</td>
+            <td>{row.questions || "—"}</td>
+            <td>{row.termQuestions || "—"}</td>
+            <td><span className={`coverage ${row.status}`}>{COVERAGE_LABELS[row.status]}</span></td>
+          </tr>)}</tbody>
+        </table>
+      </div>;
+    })}
+  </section>;
+}
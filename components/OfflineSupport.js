@@ -0,0 +1,62 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+
+const UPDATE_CHECK_INTERVAL = 30 * 60 * 1000;
+
+export function useOnline() {
+  const [online, setOnline] = useState(true);
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    update();
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+  return online;
+}
+
+export default function OfflineSupport() {
+  const online = useOnline();
+  const [waiting, setWaiting] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const reloading = useRef(false);
+
+  useEffect(() => {
+    if (!("serviceWorker" in navigator) || process.env.NODE_ENV !== "production") return;
+    let timer;
+    const hadController = !!navigator.serviceWorker.controller;
+    const onControllerChange = () => {
+      if (reloading.current) location.reload();
+    };
+    navigator.serviceWorker.addEventListener("controllerchange", onControllerChange);
+    navigator.serviceWorker.register("/sw.js").then((registration) => {
+      const track = (worker) => worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) setWaiting(worker);
+        if (worker.state === "activated" && !hadController) setSaved(true);
+      });
+      if (registration.waiting && hadController) setWaiting(registration.waiting);
+      track(registration.installing);
+      registration.addEventListener("updatefound", () => track(registration.installing));
+      timer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+    }).catch((error) => console.error("Service worker registration failed", error));
+    return () => {
+      clearInterval(timer);
+      navigator.serviceWorker.removeEventListener("controllerchange", onControllerChange);
+    };
+  }, []);
+
+  function update() {
+    reloading.current = true;
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  }
+
+  return <>
+    {!online && <div className="offline-bar">You are offline. Lessons, flashcards, quizzes and progress keep working; the AI Tutor and sync need a connection.</div>}
+    {waiting && <div className="update-toast" role="status"><span>New course content is available.</span><button className="btn primary" onClick={update}>Reload</button><button className="btn" onClick={() => setWaiting(null)}>Later</button></div>}
+    {saved && !waiting && <div className="update-toast" role="status"><span>The course is saved for offline use.</span><button className="btn" onClick={() => setSaved(false)}>OK</button></div>}
+  </>;
+}
@@ -0,0 +1,84 @@
+"use client";
+
+import { useState } from "react";
+import { useProgress } from "./ProgressProvider";
+import { MIN_SYNC_CODE_LENGTH, PROGRESS_VERSION, createExport, generateSyncCode, readExport, savedNotes } from "@/lib/progress";
+import { dayKey } from "@/lib/srs";
+
+function summarize(data) {
+  return `${data.mastered.length} mastered sections · ${Object.keys(data.flashcards).length} scheduled flashcards · ${Object.values(data.checks).filter((c) => c.result === "pass").length} checks passed · ${Object.keys(savedNotes(data.notes)).length} sections with notes · ${data.quizAttempts.length} quiz attempts`;
+}
+
+export default function ProgressBackup() {
+  const { ready, knownKeys, loadReport, exportProgress, importProgress } = useProgress();
+  const [mode, setMode] = useState("merge");
+  const [pending, setPending] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  async function download() {
+    const file = await createExport(exportProgress());
+    const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `splus-progress-${dayKey()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setStatus({ ok: true, text: "Progress exported. Keep the file somewhere safe." });
+  }
+
+  async function choose(event) {
+    const selected = event.target.files?.[0];
+    event.target.value = "";
+    if (!selected) return;
+    setStatus(null);
+    const result = await readExport(await selected.text(), knownKeys);
+    if (result.errors.length) {
+      setPending(null);
+      return setStatus({ ok: false, text: "This file could not be imported.", details: result.errors });
+    }
+    setPending({ name: selected.name, ...result });
+  }
+
+  function apply() {
+    if (mode === "replace" && !window.confirm("Replace all progress saved in this browser with the imported file?")) return;
+    importProgress(pending.data, mode);
+    setStatus({ ok: true, text: mode === "merge" ? "Imported progress merged with this browser’s progress." : "Progress replaced with the imported file." });
+    setPending(null);
+  }
+
+  if (!ready) return <section><Head /></section>;
+
+  const current = exportProgress();
+  return <section><Head />
+    {loadReport && (loadReport.from !== PROGRESS_VERSION || loadReport.unknownKeys.length > 0 || loadReport.errors.length > 0) && <div className="notice backup-report"><strong>Saved progress check:</strong>{loadReport.from != null && loadReport.from !== PROGRESS_VERSION && <p>Upgraded progress saved by an older version of this site (format v{loadReport.from}) to format v{PROGRESS_VERSION}.</p>}{loadReport.unknownKeys.length > 0 && <KeyList keys={loadReport.unknownKeys} text="saved section keys no longer match a lesson in the course and were removed:" />}{loadReport.errors.length > 0 && <ul>{loadReport.errors.map((error) => <li key={error}>{error}</li>)}</ul>}</div>}
+    <div className="report-grid">
+      <div className="report-card"><h3>Export</h3><p className="course-note">Download everything saved in this browser: {summarize(current)}. The file includes a checksum so accidentally damaged files are rejected on import.</p><button className="btn primary" onClick={download}>Export progress</button></div>
+      <div className="report-card"><h3>Import</h3><p className="course-note">Load a progress file exported from this site on any device.</p><div className="backup-modes"><label><input type="radio" name="mode" checked={mode === "merge"} onChange={() => setMode("merge")} /> Merge with this browser</label><label><input type="radio" name="mode" checked={mode === "replace"} onChange={() => setMode("replace")} /> Replace this browser’s progress</label></div><label className="btn backup-file">Choose file…<input type="file" accept="application/json,.json" onChange={choose} /></label></div>
+    </div>
+    <SyncCard />
+    {pending && <div className="report-card"><h3>Ready to import {pending.name}</h3><p>Exported {new Date(pending.exportedAt).toLocaleString()} · {summarize(pending.data)}</p>{pending.unknownKeys.length > 0 && <KeyList keys={pending.unknownKeys} text="section keys in the file no longer match a lesson and will be skipped:" />}<div className="controls"><button className="btn primary" onClick={apply}>{mode === "merge" ? "Merge into my progress" : "Replace my progress"}</button><button className="btn" onClick={() => setPending(null)}>Cancel</button></div></div>}
+    {status && <div className={`notice ${status.ok ? "backup-ok" : "backup-error"}`}><strong>{status.text}</strong>{status.details && <ul>{status.details.map((detail) => <li key={detail}>{detail}</li>)}</ul>}</div>}
+  </section>;
+}
+
+function SyncCard() {
+  const { syncCode, sync, syncNow, connectSync, disconnectSync } = useProgress();
+  const [entry, setEntry] = useState("");
+  const [shown, setShown] = useState(false);
+  const valid = entry.trim().length >= MIN_SYNC_CODE_LENGTH;
+
+  if (!syncCode) {
+    return <div className="report-card"><h3>Sync across devices</h3><p className="course-note">Sync keeps mastery, flashcards and quiz history in step between browsers without an account. Create a sync code here, then enter the same code on your other devices. Anyone with the code can read and change the synced progress, so treat it like a password.</p><div className="controls sync-controls"><button className="btn primary" onClick={() => connectSync(generateSyncCode())}>Create a sync code</button><input value={entry} onChange={(e) => setEntry(e.target.value)} placeholder={`Existing code or passphrase (${MIN_SYNC_CODE_LENGTH}+ characters)`} /><button className="btn" disabled={!valid} onClick={() => connectSync(entry.trim())}>Use this code</button></div></div>;
+  }
+
+  const label = { syncing: "Syncing…", synced: `Synced ${sync.at ? new Date(sync.at).toLocaleString() : ""}`, error: `Sync failed: ${sync.error}`, off: "Waiting to sync" }[sync.status];
+  return <div className="report-card"><h3>Sync across devices</h3><p className="course-note">Changes sync automatically a few seconds after you make them. Progress from different devices is combined: mastered sections and quiz attempts from every device are kept, and each flashcard keeps its most recent review.</p><p>Sync code: <code className="sync-code">{shown ? syncCode : "••••-••••-••••-••••"}</code> <button className="btn" onClick={() => setShown((v) => !v)}>{shown ? "Hide" : "Show"}</button></p><p className={`sync-status ${sync.status}`}>{label}</p><div className="controls sync-controls"><button className="btn primary" disabled={sync.status === "syncing"} onClick={syncNow}>Sync now</button><button className="btn" onClick={() => { if (window.confirm("Stop syncing this browser? Your progress stays here and on the server.")) disconnectSync(); }}>Stop syncing on this device</button></div></div>;
+}
+
+function Head() {
+  return <div className="view-head"><div><h2>Backup &amp; Restore</h2><p>Progress is saved in this browser. Export it or turn on sync before clearing browser data or switching computers.</p></div></div>;
+}
+
+function KeyList({ keys, text }) {
+  return <p>{keys.length} {text} <code>{keys.join(", ")}</code></p>;
+}
@@ -1,44 +1,214 @@
 "use client";
 
-import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { DEFAULT_NEW_PER_DAY, dayKey, reviewCard } from "@/lib/srs";
+import { deckCardKey } from "@/lib/decks";
+import { MAX_NOTE_LENGTH } from "@/lib/notes";
+import { recordActivity } from "@/lib/planner";
+import { MAX_SAVED_ATTEMPTS } from "@/lib/quiz";
+import { LEGACY_STORAGE_KEY, MAX_CHECK_ANSWER, PROGRESS_VERSION, STORAGE_KEY, mergeProgress, migrateProgress, validateProgress } from "@/lib/progress";
 
 const ProgressContext = createContext(null);
-const STORAGE_KEY = "splus_course_progress_v3";
+const DEFAULT_SETTINGS = { newCardsPerDay: DEFAULT_NEW_PER_DAY, requireCheckToMaster: false };
+const SYNC_CODE_KEY = "splus_sync_code";
+const SYNC_DELAY = 4000;
 
-export function ProgressProvider({ children }) {
+function readStored() {
+  const current = localStorage.getItem(STORAGE_KEY);
+  if (current) return { raw: JSON.parse(current), key: STORAGE_KEY };
+  const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (legacy) return { raw: JSON.parse(legacy), key: LEGACY_STORAGE_KEY };
+  return { raw: null, key: null };
+}
+
+export function ProgressProvider({ sectionKeys, checkKeys, children }) {
+  const knownKeys = useMemo(() => new Set(sectionKeys), [sectionKeys]);
+  const gatedKeys = useMemo(() => new Set(checkKeys), [checkKeys]);
   const [ready, setReady] = useState(false);
   const [mastered, setMastered] = useState(new Set());
+  const [masteryChanges, setMasteryChanges] = useState({});
   const [bestScore, setBestScoreState] = useState(null);
+  const [quizAttempts, setQuizAttempts] = useState([]);
+  const [flashcards, setFlashcards] = useState({});
+  const [checks, setChecks] = useState({});
+  const [plan, setPlan] = useState(null);
+  const [activity, setActivity] = useState({});
+  const [notes, setNotes] = useState({});
+  const [decks, setDecks] = useState([]);
+  const [lessonQuizzes, setLessonQuizzes] = useState({});
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [loadReport, setLoadReport] = useState(null);
+  const [syncCode, setSyncCode] = useState(null);
+  const [sync, setSync] = useState({ status: "off", at: null, error: null });
+  const [storageError, setStorageError] = useState(null);
+  const lastSynced = useRef(null);
+  const replacePending = useRef(false);
+
+  function hydrate(data) {
+    setMastered(new Set(data.mastered));
+    setMasteryChanges(data.masteryChanges);
+    setBestScoreState(data.bestScore);
+    setQuizAttempts(data.quizAttempts);
+    setFlashcards(data.flashcards);
+    setChecks(data.checks);
+    setPlan(data.plan);
+    setActivity(data.activity);
+    setNotes(data.notes);
+    setDecks(data.decks);
+    setLessonQuizzes(data.lessonQuizzes);
+    setSettings({ ...DEFAULT_SETTINGS, ...data.settings });
+  }
 
   useEffect(() => {
     try {
-      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
-      setMastered(new Set(saved.mastered || []));
-      setBestScoreState(Number.isFinite(saved.bestScore) ? saved.bestScore : null);
-    } catch {}
+      const { raw, key } = readStored();
+      if (raw) {
+        const migrated = migrateProgress(raw);
+        const { value, errors, unknownKeys } = validateProgress(migrated.data, knownKeys);
+        hydrate(value);
+        setLoadReport({ key, from: migrated.from, errors: [...migrated.errors, ...errors], unknownKeys });
+        if (key !== STORAGE_KEY) localStorage.removeItem(key);
+      }
+      setSyncCode(localStorage.getItem(SYNC_CODE_KEY));
+    } catch {
+      setLoadReport({ key: null, from: null, errors: ["Saved progress could not be read and was ignored."], unknownKeys: [] });
+    }
     setReady(true);
   }, []);
 
+  const snapshot = () => ({ version: PROGRESS_VERSION, mastered: [...mastered], masteryChanges, bestScore, quizAttempts, flashcards, checks, plan, activity, notes, decks, lessonQuizzes, settings });
+  const latest = useRef(null);
+  latest.current = snapshot();
+
   useEffect(() => {
     if (!ready) return;
-    localStorage.setItem(STORAGE_KEY, JSON.stringify({ mastered: [...mastered], bestScore }));
-  }, [mastered, bestScore, ready]);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot()));
+      setStorageError(null);
+    } catch (error) {
+      setStorageError(error.name === "QuotaExceededError" ? "Browser storage is full, so your latest progress is not being saved. Remove an imported flashcard deck or export a backup from Backup & Restore." : "Your progress could not be saved in this browser.");
+    }
+  }, [mastered, masteryChanges, bestScore, quizAttempts, flashcards, checks, plan, activity, notes, decks, lessonQuizzes, settings, ready]);
+
+  async function syncNow(code = syncCode) {
+    if (!code) return;
+    const local = latest.current;
+    const replace = replacePending.current;
+    setSync((current) => ({ ...current, status: "syncing", error: null }));
+    try {
+      const response = await fetch("/api/progress", { method: "PUT", headers: { "Content-Type": "application/json", "x-sync-code": code }, body: JSON.stringify({ data: local, replace }) });
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || "Sync failed.");
+      if (replace) replacePending.current = false;
+      const merged = JSON.stringify(body.data);
+      const current = latest.current;
+      const next = JSON.stringify(current) === JSON.stringify(local) ? body.data : mergeProgress(current, body.data);
+      if (JSON.stringify(next) !== JSON.stringify(current)) hydrate(next);
+      lastSynced.current = merged;
+      setSync({ status: "synced", at: body.updatedAt, error: null });
+    } catch (error) {
+      setSync((current) => ({ ...current, status: "error", error: error.message || "Sync failed." }));
+    }
+  }
+
+  useEffect(() => {
+    if (!ready || !syncCode || JSON.stringify(snapshot()) === lastSynced.current) return;
+    const timer = setTimeout(() => syncNow(syncCode), lastSynced.current ? SYNC_DELAY : 0);
+    return () => clearTimeout(timer);
+  }, [mastered, masteryChanges, bestScore, quizAttempts, flashcards, checks, plan, activity, notes, decks, lessonQuizzes, settings, ready, syncCode]);
+
+  useEffect(() => {
+    if (!ready || !syncCode) return;
+    const reconnect = () => syncNow(syncCode);
+    window.addEventListener("online", reconnect);
+    return () => window.removeEventListener("online", reconnect);
+  }, [ready, syncCode]);
+
+  // With requireCheckToMaster on, a section that has a knowledge check can only be mastered after passing it.
+  const canMaster = (key) => !settings.requireCheckToMaster || !gatedKeys.has(key) || checks[key]?.result === "pass";
 
   const api = useMemo(() => ({
     ready,
     mastered,
     bestScore,
+    quizAttempts,
+    flashcards,
+    checks,
+    plan,
+    activity,
+    notes,
+    decks,
+    lessonQuizzes,
+    settings,
+    knownKeys,
+    loadReport,
+    syncCode,
+    sync,
+    storageError,
     isMastered: (key) => mastered.has(key),
-    setMastered: (key, value = true) => setMastered((current) => {
-      const next = new Set(current);
-      value ? next.add(key) : next.delete(key);
-      return next;
+    canMaster,
+    setMastered: (key, value = true) => {
+      if (value && !canMaster(key)) return false;
+      setMastered((current) => {
+        const next = new Set(current);
+        value ? next.add(key) : next.delete(key);
+        return next;
+      });
+      setMasteryChanges((current) => ({ ...current, [key]: { mastered: value, at: new Date().toISOString() } }));
+      setActivity((current) => recordActivity(current, { section: key, unmaster: !value }));
+      return true;
+    },
+    recordQuizAttempt: (attempt) => {
+      setQuizAttempts((current) => current.some((a) => a.id === attempt.id) ? current : [...current, attempt].slice(-MAX_SAVED_ATTEMPTS));
+      setBestScoreState((current) => current == null ? attempt.score : Math.max(current, attempt.score));
+    },
+    recordLessonQuiz: (lessonId, score) => setLessonQuizzes((current) => {
+      const previous = current[lessonId];
+      return { ...current, [lessonId]: { best: Math.max(previous?.best ?? 0, score), last: score, attempts: (previous?.attempts || 0) + 1, at: new Date().toISOString() } };
+    }),
+    reviewFlashcard: (key, grade) => {
+      setFlashcards((current) => ({ ...current, [key]: reviewCard(current[key], grade, dayKey()) }));
+      setActivity((current) => recordActivity(current, { review: true }));
+    },
+    resetFlashcards: () => setFlashcards({}),
+    recordCheck: (key, check) => setChecks((current) => ({ ...current, [key]: { ...check, answer: check.answer.slice(0, MAX_CHECK_ANSWER), at: new Date().toISOString() } })),
+    // An emptied note stays as a dated tombstone so the deletion wins the next sync merge.
+    updateNote: (key, patch) => setNotes((current) => {
+      const note = { bookmarked: false, text: "", highlights: [], ...current[key], ...patch, updatedAt: new Date().toISOString() };
+      return { ...current, [key]: { ...note, text: note.text.slice(0, MAX_NOTE_LENGTH) } };
     }),
-    setBestScore: (score) => setBestScoreState((current) => current == null ? score : Math.max(current, score)),
-    resetProgress: () => { setMastered(new Set()); setBestScoreState(null); },
-  }), [ready, mastered, bestScore]);
+    importDeck: (deck) => setDecks((current) => [...current.filter((d) => d.id !== deck.id), deck]),
+    removeDeck: (id) => {
+      setDecks((current) => current.map((deck) => deck.id === id ? { id, name: deck.name, importedAt: new Date().toISOString(), removed: true, cards: [] } : deck));
+      setFlashcards((current) => Object.fromEntries(Object.entries(current).filter(([key]) => !key.startsWith(deckCardKey(id, "")))));
+    },
+    savePlan: (next) => setPlan(next && { ...next, updatedAt: new Date().toISOString() }),
+    updateSettings: (patch) => setSettings((current) => ({ ...current, ...patch, updatedAt: new Date().toISOString() })),
+    exportProgress: snapshot,
+    // A replace also overwrites the synced record, and un-marks every dropped section so other devices drop it too.
+    importProgress: (data, mode) => {
+      if (mode === "merge") return hydrate(mergeProgress(snapshot(), data));
+      const at = new Date().toISOString();
+      const dropped = [...mastered].filter((key) => !data.mastered.includes(key));
+      hydrate({ ...data, masteryChanges: { ...data.masteryChanges, ...Object.fromEntries(dropped.map((key) => [key, { mastered: false, at }])) } });
+      replacePending.current = !!syncCode;
+    },
+    syncNow: () => syncNow(),
+    connectSync: (code) => {
+      localStorage.setItem(SYNC_CODE_KEY, code);
+      lastSynced.current = null;
+      setSyncCode(code);
+    },
+    disconnectSync: () => {
+      localStorage.removeItem(SYNC_CODE_KEY);
+      lastSynced.current = null;
+      setSyncCode(null);
+      setSync({ status: "off", at: null, error: null });
+    },
+    resetProgress: () => { setMastered(new Set()); setMasteryChanges({}); setBestScoreState(null); setQuizAttempts([]); setFlashcards({}); setChecks({}); setPlan(null); setActivity({}); setNotes({}); setLessonQuizzes({}); },
+  }), [ready, mastered, masteryChanges, bestScore, quizAttempts, flashcards, checks, plan, activity, notes, decks, lessonQuizzes, settings, knownKeys, gatedKeys, loadReport, syncCode, sync, storageError]);
 
-  return <ProgressContext.Provider value={api}>{children}</ProgressContext.Provider>;
+  return <ProgressContext.Provider value={api}>{children}{storageError && <div className="offline-bar storage-bar" role="alert">{storageError}</div>}</ProgressContext.Provider>;
 }
 
 export function useProgress() {
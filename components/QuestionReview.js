@@ -0,0 +1,109 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { objectiveDomain } from "@/lib/objectives";
+
+const LETTERS = "ABCDEFGH";
+const TOKEN_KEY = "splus_review_token";
+
+async function send(url, body) {
+  const headers = { "x-review-token": sessionStorage.getItem(TOKEN_KEY) || "", ...(body && { "Content-Type": "application/json" }) };
+  const response = await fetch(url, body ? { method: "POST", headers, body: JSON.stringify(body) } : { headers });
+  const data = await response.json();
+  if (!response.ok) throw Object.assign(new Error(data.error || "Request failed."), { status: response.status, details: data.details || [] });
+  return data;
+}
+
+export default function QuestionReview({ lessons, domains }) {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState("");
+  const [lessonId, setLessonId] = useState(lessons[0]?.id || "");
+  const lesson = lessons.find((l) => l.id === lessonId);
+  const [sectionNumber, setSectionNumber] = useState(lesson?.sections[0]?.n || "");
+  const [count, setCount] = useState(3);
+  const [generating, setGenerating] = useState(false);
+  const [report, setReport] = useState(null);
+  const [locked, setLocked] = useState(false);
+  const [token, setToken] = useState("");
+
+  const load = () => send("/api/questions/review").then((data) => { setPending(data.pending); setLocked(false); setError(""); }, (e) => { setLocked(e.status === 401); setError(e.message); });
+  useEffect(() => { load(); }, []);
+
+  function unlock(event) {
+    event.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, token.trim());
+    setToken("");
+    load();
+  }
+
+  function chooseLesson(id) {
+    setLessonId(id);
+    setSectionNumber(lessons.find((l) => l.id === id)?.sections[0]?.n || "");
+  }
+
+  async function generate() {
+    setGenerating(true);
+    setReport(null);
+    try {
+      const result = await send("/api/tutor/generate", { lessonId, sectionNumber, count });
+      setPending((current) => [...(current || []), ...result.added]);
+      setReport(result);
+    } catch (e) {
+      setReport({ error: e.message });
+    } finally {
+      setGenerating(false);
+    }
+  }
+
+  const remove = (reviewId) => setPending((current) => current.filter((item) => item.reviewId !== reviewId));
+
+  if (error) return <section><div className="view-head"><div><h2>Question Review</h2></div></div><div className="notice">{error}</div>{locked && <form className="controls review-controls" onSubmit={unlock}><input type="password" value={token} onChange={(e) => setToken(e.target.value)} placeholder="Review token" autoComplete="off" /><button className="btn primary" disabled={!token.trim()}>Unlock</button></form>}</section>;
+  return <section>
+    <div className="view-head"><div><h2>Question Review</h2><p>Generate scenario questions from a course section, then approve, edit or reject them. Approved questions are added to <code>content/scenario-questions.json</code> and appear in the quiz after the next build.</p></div></div>
+    <div className="report-card"><h3>Generate questions</h3>
+      <div className="controls review-controls">
+        <select value={lessonId} onChange={(e) => chooseLesson(e.target.value)}>{lessons.map((l) => <option key={l.id} value={l.id}>{l.id} {l.title}</option>)}</select>
+        <select value={sectionNumber} onChange={(e) => setSectionNumber(Number(e.target.value))}>{lesson?.sections.map((s) => <option key={s.n} value={s.n}>{s.n}. {s.title}</option>)}</select>
+        <select value={count} onChange={(e) => setCount(Number(e.target.value))}>{[1, 2, 3, 4, 5].map((n) => <option key={n} value={n}>{n} question{n > 1 ? "s" : ""}</option>)}</select>
+        <button className="btn primary" disabled={generating || !sectionNumber} onClick={generate}>{generating ? "Generating…" : "✦ Generate"}</button>
+      </div>
+      {report && (report.error ? <div className="notice">{report.error}</div> : <div className="course-note"><p>{report.added.length} question(s) added to the queue.</p>{report.duplicates.length > 0 && <p>Skipped {report.duplicates.length} duplicate(s): {report.duplicates.map((d) => `“${d.q}”`).join(" ")}</p>}{report.invalid.length > 0 && <ul>{report.invalid.map((problem) => <li key={problem}>{problem}</li>)}</ul>}</div>)}
+    </div>
+    {!pending ? <p className="course-note">Loading review queue…</p>
+      : !pending.length ? <p className="course-note">The review queue is empty.</p>
+      : <><h3>{pending.length} question(s) waiting for review</h3>{pending.map((item) => <ReviewItem key={item.reviewId} item={item} domains={domains} onDone={() => remove(item.reviewId)} />)}</>}
+  </section>;
+}
+
+function ReviewItem({ item, domains, onDone }) {
+  const [draft, setDraft] = useState(item.question);
+  const [problems, setProblems] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const update = (patch) => setDraft((current) => ({ ...current, ...patch }));
+  const setChoice = (i, value) => update({ choices: draft.choices.map((choice, j) => j === i ? value : choice) });
+
+  async function act(action) {
+    setBusy(true);
+    setProblems([]);
+    try {
+      await send("/api/questions/review", { action, reviewId: item.reviewId, question: action === "approve" ? draft : undefined });
+      onDone();
+    } catch (e) {
+      setProblems([e.message, ...e.details]);
+      setBusy(false);
+    }
+  }
+
+  return <article className="report-card review-item">
+    <p className="course-note">From {item.source.lessonId} · section {item.source.sectionNumber}: {item.source.sectionTitle} · {item.source.provider}/{item.source.model} · {new Date(item.createdAt).toLocaleString()}</p>
+    <label>Question<textarea value={draft.q} onChange={(e) => update({ q: e.target.value })} /></label>
+    <div className="review-choices">{draft.choices.map((choice, i) => <label key={i} className={draft.answer === i ? "correct" : ""}><input type="radio" name={`answer-${item.reviewId}`} checked={draft.answer === i} onChange={() => update({ answer: i })} title="Correct answer" /> {LETTERS[i]}<input value={choice} onChange={(e) => setChoice(i, e.target.value)} /></label>)}</div>
+    <label>Explanation<textarea value={draft.why} onChange={(e) => update({ why: e.target.value })} /></label>
+    <div className="controls review-controls">
+      <label>Lessons <input value={draft.lessons.join(", ")} onChange={(e) => update({ lessons: e.target.value.split(",").map((id) => id.trim()) })} /></label>
+      <select value={draft.objectives?.[0] || ""} onChange={(e) => update({ objectives: [e.target.value], domain: objectiveDomain(e.target.value) })}><option value="" disabled>Choose an exam objective</option>{domains.map((d) => <optgroup key={d.domain} label={`Domain ${d.domain}: ${d.name}`}>{d.objectives.map((o) => <option key={o.id} value={o.id}>{o.id} {o.title}</option>)}</optgroup>)}</select>
+    </div>
+    {problems.length > 0 && <div className="notice"><ul>{problems.map((problem) => <li key={problem}>{problem}</li>)}</ul></div>}
+    <div className="controls review-controls"><button className="btn primary" disabled={busy} onClick={() => act("approve")}>Approve</button><button className="btn" disabled={busy} onClick={() => act("reject")}>Reject</button></div>
+  </article>;
+}
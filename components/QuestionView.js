@@ -0,0 +1,89 @@
+"use client";
+
+import { useState } from "react";
+import { QUESTION_TYPES, formatCredit, gradeResponse, initialResponse, questionType, tableBlanks } from "@/lib/quiz";
+
+const letter = (i) => String.fromCharCode(65 + i);
+const mark = (reveal, right) => reveal ? (right ? "correct" : "wrong") : "";
+
+export function verdict(grade) {
+  if (grade.credit === 1) return "Correct.";
+  if (grade.credit > 0) return `Partly right: ${formatCredit(grade.credit)} of 1 point.`;
+  return "Not quite.";
+}
+
+export function TypeLabel({ question }) {
+  const type = questionType(question);
+  return type === "single" ? null : <div className="pbq-type">{QUESTION_TYPES[type]} · partial credit</div>;
+}
+
+export default function QuestionBody({ question, response, onChange, reveal = false }) {
+  const value = response ?? initialResponse(question);
+  const grade = reveal ? gradeResponse(question, response) : null;
+  const props = { question, value, onChange, reveal, grade };
+  const type = questionType(question);
+  if (type === "multi") return <MultiSelect {...props} />;
+  if (type === "match") return <Matching {...props} />;
+  if (type === "order") return <Ordering {...props} />;
+  if (type === "table") return <TableTask {...props} />;
+  return <SingleChoice {...props} />;
+}
+
+function SingleChoice({ question, value, onChange, reveal }) {
+  return <div className="choices">{question.choices.map((choice, i) => <button className={`choice ${reveal && i === question.answer ? "correct" : ""} ${reveal && value === i && i !== question.answer ? "wrong" : ""} ${!reveal && value === i ? "selected" : ""}`} disabled={reveal} onClick={() => onChange(i)} key={choice}>{letter(i)}. {choice}</button>)}</div>;
+}
+
+function MultiSelect({ question, value, onChange, reveal }) {
+  const needed = question.answer.length;
+  const toggle = (i) => onChange(value.includes(i) ? value.filter((v) => v !== i) : [...(value.length >= needed ? value.slice(1) : value), i]);
+  return <>
+    <p className="pbq-hint">Select {needed} answers{!reveal && value.length ? ` · ${value.length} selected` : ""}.</p>
+    <div className="choices">{question.choices.map((choice, i) => <button className={`choice ${reveal && question.answer.includes(i) ? "correct" : ""} ${reveal && value.includes(i) && !question.answer.includes(i) ? "wrong" : ""} ${!reveal && value.includes(i) ? "selected" : ""}`} disabled={reveal} onClick={() => toggle(i)} key={choice}>{letter(i)}. {choice}{reveal && <small className="choice-note">{question.notes[i]}</small>}</button>)}</div>
+  </>;
+}
+
+function Matching({ question, value, onChange, reveal, grade }) {
+  const set = (i, pick) => onChange(value.map((v, j) => j === i ? pick : v));
+  return <>
+    <p className="pbq-hint">Drag an option onto each item, or choose it from the list.</p>
+    {!reveal && <div className="match-bank">{question.options.map((option, k) => <span className="match-chip" draggable onDragStart={(e) => e.dataTransfer.setData("text/plain", String(k))} key={option}>{option}</span>)}</div>}
+    <div className="match-rows">{question.pairs.map((pair, i) => <div className={`match-row ${mark(reveal, grade?.items[i])}`} key={pair.item} onDragOver={(e) => e.preventDefault()} onDrop={(e) => { e.preventDefault(); if (!reveal) set(i, Number(e.dataTransfer.getData("text/plain"))); }}>
+      <span>{pair.item}</span>
+      <select disabled={reveal} value={value[i] ?? ""} onChange={(e) => set(i, e.target.value === "" ? null : Number(e.target.value))}><option value="">Drop or choose…</option>{question.options.map((option, k) => <option key={option} value={k}>{option}</option>)}</select>
+      {reveal && <small>{!grade.items[i] && <>Answer: <strong>{pair.match}</strong>. </>}{pair.why}</small>}
+    </div>)}</div>
+  </>;
+}
+
+function Ordering({ question, value, onChange, reveal, grade }) {
+  const [dragging, setDragging] = useState(null);
+  const move = (from, to) => {
+    if (from == null || to < 0 || to >= value.length || from === to) return;
+    const next = [...value];
+    next.splice(to, 0, next.splice(from, 1)[0]);
+    onChange(next);
+  };
+  return <>
+    <p className="pbq-hint">Drag the steps into order, or use the arrows.</p>
+    <ol className="order-list">{value.map((step, position) => <li key={step} className={mark(reveal, grade?.items[position])} draggable={!reveal} onDragStart={() => setDragging(position)} onDragOver={(e) => e.preventDefault()} onDrop={(e) => { e.preventDefault(); move(dragging, position); setDragging(null); }}>
+      <span>{question.steps[step].text}</span>
+      {!reveal && <span className="order-moves"><button className="btn" disabled={position === 0} onClick={() => move(position, position - 1)} aria-label="Move up">↑</button><button className="btn" disabled={position === value.length - 1} onClick={() => move(position, position + 1)} aria-label="Move down">↓</button></span>}
+      {reveal && <small>{!grade.items[position] && <>Belongs at step {step + 1}. </>}{question.steps[step].why}</small>}
+    </li>)}</ol>
+  </>;
+}
+
+function TableTask({ question, value, onChange, reveal, grade }) {
+  const blanks = tableBlanks(question);
+  const index = new Map(blanks.map(({ r, c }, k) => [`${r}-${c}`, k]));
+  const set = (k, pick) => onChange(value.map((v, j) => j === k ? pick : v));
+  return <>
+    <p className="pbq-hint">Choose a value for every empty cell.</p>
+    <div className="pbq-table-wrap"><table className="pbq-table"><thead><tr>{question.columns.map((column) => <th key={column}>{column}</th>)}</tr></thead><tbody>{question.rows.map((row, r) => <tr key={r}>{row.map((cell, c) => {
+      if (typeof cell === "string") return <td key={c}>{cell}</td>;
+      const k = index.get(`${r}-${c}`);
+      return <td key={c} className={mark(reveal, grade?.items[k])}><select disabled={reveal} value={value[k] ?? ""} onChange={(e) => set(k, e.target.value === "" ? null : Number(e.target.value))}><option value="">Choose…</option>{cell.options.map((option, o) => <option key={option} value={o}>{option}</option>)}</select></td>;
+    })}</tr>)}</tbody></table></div>
+    {reveal && <ul className="pbq-notes">{blanks.map(({ cell, r, c }, k) => <li key={k} className={mark(true, grade.items[k])}><strong>{question.columns[c]}, row {r + 1}: {cell.options[cell.answer]}.</strong> {cell.why}</li>)}</ul>}
+  </>;
+}
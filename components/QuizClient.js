@@ -1,26 +1,145 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useSearchParams } from "next/navigation";
 import { useProgress } from "./ProgressProvider";
+import QuestionBody, { TypeLabel, verdict } from "./QuestionView";
+import { QUIZ_LENGTH, answerRecord, filterQuestions, formatCredit, gradeResponse, initialResponse, isComplete, missedQuestionIds, questionType, responseSummary, seededShuffle, shuffle } from "@/lib/quiz";
+import { newSeed, quizLink, quizSpec, readShareCode, runResponses, sameQuiz, shareCode, specPool } from "@/lib/quiz-share";
+import { TERM_QUIZ_LENGTH, TERM_QUIZ_PASS } from "@/lib/term-quiz";
 
-function shuffle(list) { return [...list].sort(() => Math.random() - .5); }
+// Topic quizzes carry a `spec` (seed, length and topics) so the same questions can be rebuilt from a link or share code.
+function newRun(pool, label, length = QUIZ_LENGTH, spec = null) {
+  const questions = (spec ? seededShuffle(pool, spec.seed) : shuffle(pool)).slice(0, spec ? spec.n : length);
+  return { id: `quiz-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, pool, label, spec, questions, answers: [], index: 0, score: 0, answered: null, response: initialResponse(questions[0]) };
+}
+
+const specLabel = (spec) => spec.lessons.length === 1 && !spec.chapters.length ? `Lesson ${spec.lessons[0]}` : spec.lessons.length || spec.chapters.length ? "Custom selection" : "Full question bank";
+
+export default function QuizClient({ questionBank, chapters, domains, lesson }) {
+  const { ready, quizAttempts, recordQuizAttempt, lessonQuizzes, recordLessonQuiz } = useProgress();
+  const searchParams = useSearchParams();
+  const [run, setRun] = useState(null);
+  const lessonParam = searchParams.get("lesson");
+  const chapterParam = searchParams.get("chapter");
+  const retryParam = searchParams.get("retry");
+  const seedParam = searchParams.get("seed");
+  const lengthParam = searchParams.get("n");
+
+  useEffect(() => {
+    if (lesson) return setRun(newRun(questionBank, `Lesson ${lesson.id} term quiz`, TERM_QUIZ_LENGTH));
+    if (retryParam === "missed") {
+      if (!ready) return;
+      const missed = missedQuestionIds(quizAttempts);
+      const pool = questionBank.filter((q) => missed.includes(q.id));
+      return setRun(pool.length ? newRun(pool, "Missed questions") : { pool, label: "Missed questions", questions: [], index: 0, score: 0, answered: null });
+    }
+    const lessonIds = lessonParam ? lessonParam.split(",") : [];
+    const chapterIds = chapterParam ? chapterParam.split(",").map(Number) : [];
+    if (!lessonIds.length && !chapterIds.length && !seedParam) return setRun(null);
+    const spec = quizSpec({ seed: seedParam || newSeed(), n: lengthParam, lessons: lessonIds, chapters: chapterIds });
+    const pool = specPool(questionBank, spec);
+    setRun(pool.length ? newRun(pool, specLabel(spec), QUIZ_LENGTH, spec) : { pool, label: "No questions", questions: [], index: 0, score: 0, answered: null });
+  }, [lessonParam, chapterParam, retryParam, seedParam, lengthParam, questionBank, ready]);
+
+  const finished = run && run.questions.length > 0 && run.index >= run.questions.length;
+  useEffect(() => {
+    if (!finished) return;
+    if (lesson) return recordLessonQuiz(lesson.id, Math.round(run.score / run.questions.length * 100));
+    recordQuizAttempt({ id: run.id, date: new Date().toISOString(), kind: "quiz", label: run.label, score: Math.round(run.score / run.questions.length * 100), correct: Math.round(run.score * 100) / 100, total: run.questions.length, answers: run.answers });
+  }, [finished]);
+
+  const restart = () => setRun(newRun(run.pool, run.label, lesson ? TERM_QUIZ_LENGTH : QUIZ_LENGTH, run.spec && { ...run.spec, seed: newSeed() }));
+  const start = (lessons) => {
+    const spec = quizSpec({ seed: newSeed(), lessons, chapters: [] });
+    setRun(newRun(specPool(questionBank, spec), specLabel(spec), QUIZ_LENGTH, spec));
+  };
+  const lessonResult = lesson && lessonQuizzes[lesson.id];
+  const toolbar = lesson ? <div className="toolbar"><Link className="btn" href={`/course/${lesson.id}`}>← Back to lesson</Link>{run && <button className="btn" onClick={restart}>New quiz</button>}</div> : <div className="toolbar"><Link className="btn" href="/quiz/report">My results</Link><Link className="btn" href="/quiz/exam">Exam simulation</Link>{run && <button className="btn" onClick={() => setRun(null)}>Change topics</button>}{run?.questions.length > 0 && <button className="btn" onClick={restart}>New quiz</button>}</div>;
+  const head = lesson ? <div className="view-head"><div><h2>{lesson.id} {lesson.title}: Term Quiz</h2><p>Up to {TERM_QUIZ_LENGTH} questions generated from this lesson’s key terms, with wrong answers drawn from the same chapter.{lessonResult ? ` Best so far: ${lessonResult.best}% over ${lessonResult.attempts} attempt${lessonResult.attempts === 1 ? "" : "s"}.` : ""}</p></div>{toolbar}</div> : <div className="view-head"><div><h2>Scenario Quiz</h2><p>{run ? `${run.label} · up to ${QUIZ_LENGTH} randomized Security+ style questions per attempt.` : "Choose the chapters or lessons to practice, then start a randomized quiz."}</p></div>{toolbar}</div>;
+
+  if (!run) return <section>{head}<QuizSetup questionBank={questionBank} chapters={chapters} onStart={start} /></section>;
+
+  if (!run.questions.length) {
+    return <section>{head}<div className="quiz-shell"><div className="result"><div className="eyebrow">No questions yet</div><p>{run.label === "Missed questions" ? "You have no missed questions to retry. Nice work!" : "The scenario bank has no questions tagged for this selection yet."}</p><button className="btn primary" onClick={() => setRun(null)}>Choose other topics</button></div></div></section>;
+  }
 
-export default function QuizClient({ questionBank }) {
-  const { setBestScore } = useProgress();
-  const [run, setRun] = useState(() => ({ questions: shuffle(questionBank).slice(0, 20), index: 0, score: 0, answered: null }));
   const q = run.questions[run.index];
-  const restart = () => setRun({ questions: shuffle(questionBank).slice(0, 20), index: 0, score: 0, answered: null });
 
-  if (run.index >= run.questions.length) {
+  if (finished) {
     const pct = Math.round(run.score / run.questions.length * 100);
-    setTimeout(() => setBestScore(pct), 0);
-    return <section><div className="view-head"><div><h2>Scenario Quiz</h2><p>20 randomized Security+ style questions per attempt.</p></div><button className="btn" onClick={restart}>New quiz</button></div><div className="quiz-shell"><div className="result"><div className="eyebrow">Quiz complete</div><div className="score">{pct}%</div><p>{run.score} of {run.questions.length} correct.</p><button className="btn primary" onClick={restart}>Take another quiz</button></div></div></section>;
+    return <section>{head}<div className="quiz-shell"><div className="result"><div className="eyebrow">Quiz complete</div><div className="score">{pct}%</div><p>{formatCredit(run.score)} of {run.questions.length} correct.</p>{lesson && <p className="course-note">{pct >= TERM_QUIZ_PASS ? "✓ Lesson quiz passed." : `Score ${TERM_QUIZ_PASS}% or more to pass the lesson quiz.`} Your result is saved with this lesson’s progress.</p>}<div className="controls"><button className="btn primary" onClick={restart}>Take another quiz</button>{lesson ? <Link className="btn" href={`/course/${lesson.id}`}>Back to the lesson</Link> : <Link className="btn" href="/quiz/report">View my results</Link>}</div></div>{run.spec && <QuizShare run={run} questionBank={questionBank} />}</div></section>;
   }
 
-  function answer(choice) {
+  function answer(response) {
     if (run.answered != null) return;
-    setRun((r) => ({ ...r, answered: choice, score: r.score + (choice === q.answer ? 1 : 0) }));
+    const grade = gradeResponse(q, response);
+    setRun((r) => ({ ...r, response, answered: grade, score: r.score + grade.credit, answers: [...r.answers, answerRecord(q, response, grade)] }));
   }
 
-  return <section><div className="view-head"><div><h2>Scenario Quiz</h2><p>20 randomized Security+ style questions per attempt.</p></div><button className="btn" onClick={restart}>New quiz</button></div><div className="quiz-shell"><div className="quiz-top"><span>Question {run.index + 1} of {run.questions.length}</span><span>Score: {run.score}</span></div><div className="progress"><span style={{ width: `${run.index / run.questions.length * 100}%` }} /></div><div className="quiz-q">{q.q}</div><div className="choices">{q.choices.map((choice, i) => <button className={`choice ${run.answered != null && i === q.answer ? "correct" : ""} ${run.answered === i && i !== q.answer ? "wrong" : ""}`} disabled={run.answered != null} onClick={() => answer(i)} key={choice}>{String.fromCharCode(65 + i)}. {choice}</button>)}</div>{run.answered != null && <div className="explain show"><strong>{run.answered === q.answer ? "Correct." : "Not quite."}</strong> {q.why}</div>}{run.answered != null && <div className="quiz-next"><button className="btn primary" onClick={() => setRun((r) => ({ ...r, index: r.index + 1, answered: null }))}>Next question →</button></div>}</div></section>;
+  const nextQuestion = () => setRun((r) => ({ ...r, index: r.index + 1, answered: null, response: r.questions[r.index + 1] ? initialResponse(r.questions[r.index + 1]) : null }));
+  const single = questionType(q) === "single";
+
+  const domain = domains.find((d) => d.domain === q.domain);
+  return <section>{head}<div className="quiz-shell"><div className="quiz-top"><span>Question {run.index + 1} of {run.questions.length}{run.spec && <> · <Link href={quizLink(run.spec)} title="Anyone who opens this link gets the same questions in the same order">seed {run.spec.seed}</Link></>}</span><span>Score: {formatCredit(run.score)}</span></div><div className="progress"><span style={{ width: `${run.index / run.questions.length * 100}%` }} /></div><div className="quiz-tags">{q.lessons?.map((id) => <Link className="pill" href={`/course/${id}`} key={id}>{id}</Link>)}{domain && <span className="pill">Domain {domain.domain}: {domain.name}</span>}{q.objectives?.map((id) => <Link className="pill" href={`/objectives#objective-${id}`} key={id}>Objective {id}</Link>)}</div><TypeLabel question={q} /><div className="quiz-q">{q.q}</div><QuestionBody key={`${run.id}-${run.index}`} question={q} response={run.response} reveal={run.answered != null} onChange={(response) => single ? answer(response) : setRun((r) => ({ ...r, response }))} />{run.answered == null && !single && <div className="quiz-next"><button className="btn primary" disabled={!isComplete(q, run.response)} onClick={() => answer(run.response)}>Check answer</button></div>}{run.answered != null && <div className="explain show"><strong>{verdict(run.answered)}</strong> {q.why}</div>}{run.answered != null && <div className="quiz-next"><button className="btn primary" onClick={nextQuestion}>Next question →</button></div>}</div></section>;
+}
+
+function QuizSetup({ questionBank, chapters, onStart }) {
+  const [selected, setSelected] = useState(new Set());
+  const pool = filterQuestions(questionBank, { lessons: [...selected] });
+  const toggle = (ids) => setSelected((current) => {
+    const next = new Set(current);
+    const on = ids.every((id) => next.has(id));
+    ids.forEach((id) => on ? next.delete(id) : next.add(id));
+    return next;
+  });
+
+  return <div className="quiz-shell quiz-setup">
+    <div className="result"><div className="eyebrow">Quiz setup</div><p>{selected.size ? `${pool.length} questions match ${selected.size} selected lesson${selected.size === 1 ? "" : "s"}.` : `No topics selected — the quiz draws from all ${questionBank.length} questions.`}</p><div className="controls"><button className="btn primary" disabled={selected.size > 0 && !pool.length} onClick={() => onStart([...selected])}>Start quiz</button>{selected.size > 0 && <button className="btn" onClick={() => setSelected(new Set())}>Clear selection</button>}</div></div>
+    {chapters.map((chapter) => {
+      const ids = chapter.lessons.map((lesson) => lesson.id);
+      const all = ids.every((id) => selected.has(id));
+      return <div className="setup-chapter" key={chapter.chapter}>
+        <label className="setup-chapter-head"><input type="checkbox" checked={all} onChange={() => toggle(ids)} /> Chapter {chapter.chapter}: {chapter.name} <small>{chapter.questionCount} questions</small></label>
+        <div className="setup-lessons">{chapter.lessons.map((lesson) => <label key={lesson.id}><input type="checkbox" checked={selected.has(lesson.id)} onChange={() => toggle([lesson.id])} /> {lesson.id} {lesson.title} <small>{lesson.questionCount}</small></label>)}</div>
+      </div>;
+    })}
+  </div>;
+}
+
+const creditClass = (credit) => credit === 1 ? "right" : credit > 0 ? "partial" : "missed";
+
+function QuizShare({ run, questionBank }) {
+  const [origin, setOrigin] = useState("");
+  const [copied, setCopied] = useState("");
+  const [pasted, setPasted] = useState("");
+  const [other, setOther] = useState(null);
+  const link = `${origin}${quizLink(run.spec)}`;
+  const code = shareCode(run.spec, run.questions, runResponses(run.answers));
+  useEffect(() => setOrigin(window.location.origin), []);
+
+  const copy = (label, text) => navigator.clipboard?.writeText(text).then(() => setCopied(label), () => setCopied(""));
+  const compare = () => {
+    const result = readShareCode(pasted, questionBank);
+    setOther(result.error || sameQuiz(result.spec, run.spec) ? result : { spec: result.spec, error: "This code is for a different quiz. Take that quiz first, then compare from its results." });
+  };
+  const mine = runResponses(run.answers);
+  const rows = other?.responses && run.questions.map((q, i) => ({ q, mine: mine[i], theirs: other.responses[i], me: gradeResponse(q, mine[i]).credit, them: gradeResponse(q, other.responses[i]).credit }));
+  const agreed = rows?.filter((row) => JSON.stringify(row.mine) === JSON.stringify(row.theirs)).length;
+
+  return <div className="report-card quiz-share">
+    <h3>Compare with your study group</h3>
+    <p className="course-note">Anyone who opens the quiz link gets these {run.questions.length} questions in the same order. Send your share code with it so they can compare answers once they finish.</p>
+    <label>Quiz link<div className="share-field"><input readOnly value={link} onFocus={(event) => event.target.select()} /><button className="btn" onClick={() => copy("link", link)}>{copied === "link" ? "Copied" : "Copy"}</button></div></label>
+    <label>Your share code<div className="share-field"><input readOnly value={code} onFocus={(event) => event.target.select()} /><button className="btn" onClick={() => copy("code", code)}>{copied === "code" ? "Copied" : "Copy"}</button></div></label>
+    <label>Paste a group member’s code<div className="share-field"><input value={pasted} placeholder="SQ1.…" onChange={(event) => setPasted(event.target.value)} /><button className="btn primary" disabled={!pasted.trim()} onClick={compare}>Compare</button></div></label>
+    {other?.error && <div className="notice backup-error">{other.error}{other.spec && !sameQuiz(other.spec, run.spec) && <> <Link href={quizLink(other.spec)}>Open that quiz</Link></>}</div>}
+    {rows && <>
+      <p className="course-note">You scored {formatCredit(rows.reduce((sum, row) => sum + row.me, 0))} and they scored {formatCredit(rows.reduce((sum, row) => sum + row.them, 0))} of {rows.length}. You gave the same answer on {agreed} question{agreed === 1 ? "" : "s"}.</p>
+      <table className="report-table share-table"><thead><tr><th>#</th><th>Question</th><th>You</th><th>Them</th></tr></thead>
+        <tbody>{rows.map((row, i) => <tr key={row.q.id}><td>{i + 1}</td><td>{row.q.q}</td><td className={creditClass(row.me)}>{responseSummary(row.q, row.mine)}</td><td className={creditClass(row.them)}>{responseSummary(row.q, row.theirs)}</td></tr>)}</tbody>
+      </table>
+    </>}
+  </div>;
 }
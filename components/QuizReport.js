@@ -0,0 +1,66 @@
+"use client";
+
+import Link from "next/link";
+import { useMemo } from "react";
+import { useProgress } from "./ProgressProvider";
+import { answerSummary, missedQuestionIds, questionStats } from "@/lib/quiz";
+
+const pct = (part, whole) => whole ? Math.round(part / whole * 100) : 0;
+
+export default function QuizReport({ questionBank, chapters }) {
+  const { ready, quizAttempts } = useProgress();
+  const byId = useMemo(() => new Map(questionBank.map((q) => [q.id, q])), [questionBank]);
+
+  const report = useMemo(() => {
+    const stats = questionStats(quizAttempts).filter((stat) => byId.has(stat.id)).map((stat) => ({ ...stat, question: byId.get(stat.id), accuracy: pct(stat.correct, stat.seen) }));
+    const chapterRows = chapters.map((chapter) => {
+      const rows = stats.filter((stat) => stat.question.chapter === chapter.chapter);
+      const seen = rows.reduce((sum, stat) => sum + stat.seen, 0);
+      const correct = rows.reduce((sum, stat) => sum + stat.correct, 0);
+      return { ...chapter, seen, correct, accuracy: pct(correct, seen) };
+    }).filter((row) => row.seen);
+    return {
+      stats: [...stats].sort((a, b) => a.accuracy - b.accuracy || b.seen - a.seen),
+      mostMissed: stats.filter((stat) => stat.missed).sort((a, b) => b.missed - a.missed || a.accuracy - b.accuracy).slice(0, 8),
+      chapterRows,
+      missed: missedQuestionIds(quizAttempts).filter((id) => byId.has(id)).length,
+    };
+  }, [quizAttempts, byId, chapters]);
+
+  const scores = quizAttempts.map((attempt) => attempt.score);
+  const head = <div className="view-head"><div><h2>My Quiz Results</h2><p>Every practice quiz and exam simulation you finish is saved in this browser.</p></div><div className="toolbar">{report.missed > 0 && <Link className="btn primary" href="/quiz?retry=missed">Retry my missed questions ({report.missed})</Link>}<Link className="btn" href="/quiz">New quiz</Link></div></div>;
+
+  if (!ready) return <section>{head}</section>;
+  if (!quizAttempts.length) return <section>{head}<div className="quiz-shell"><div className="result"><div className="eyebrow">No attempts yet</div><p>Finish a scenario quiz or exam simulation and your results will appear here.</p><Link className="btn primary" href="/quiz">Take a quiz</Link></div></div></section>;
+
+  return <section className="report">{head}
+    <div className="stats">
+      <Stat value={quizAttempts.length} label="Attempts" />
+      <Stat value={`${scores[scores.length - 1]}%`} label="Latest score" />
+      <Stat value={`${Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)}%`} label="Average score" />
+      <Stat value={`${Math.max(...scores)}%`} label="Best score" />
+    </div>
+    <div className="report-card"><h3>Score trend</h3><Trend attempts={quizAttempts.slice(-30)} /></div>
+    <div className="report-grid">
+      <div className="report-card"><h3>Accuracy by chapter</h3>{report.chapterRows.map((row) => <div className="report-row" key={row.chapter}><span>Chapter {row.chapter}: {row.name}<small>{row.correct}/{row.seen} correct</small></span><div className="progress"><span style={{ width: `${row.accuracy}%` }} /></div><b>{row.accuracy}%</b></div>)}</div>
+      <div className="report-card"><h3>Missed most often</h3>{report.mostMissed.length ? report.mostMissed.map((stat) => <div className="report-missed" key={stat.id}><p>{stat.question.q}</p><small>Missed {stat.missed} of {stat.seen} · answer: {answerSummary(stat.question)} · {stat.question.lessons?.map((id) => <Link href={`/course/${id}`} key={id}>{id} </Link>)}</small></div>) : <p className="course-note">No missed questions yet.</p>}</div>
+    </div>
+    <div className="report-card"><h3>Accuracy per question</h3><table className="report-table"><thead><tr><th>Question</th><th>Seen</th><th>Correct</th><th>Accuracy</th></tr></thead><tbody>{report.stats.map((stat) => <tr key={stat.id} className={stat.lastCorrect ? "" : "missed"}><td>{stat.question.q}</td><td>{stat.seen}</td><td>{stat.correct}</td><td>{stat.accuracy}%</td></tr>)}</tbody></table></div>
+    <div className="report-card"><h3>Attempt history</h3><table className="report-table"><thead><tr><th>Date</th><th>Quiz</th><th>Correct</th><th>Score</th></tr></thead><tbody>{[...quizAttempts].reverse().map((attempt) => <tr key={attempt.id}><td>{new Date(attempt.date).toLocaleString()}</td><td>{attempt.label}</td><td>{attempt.correct}/{attempt.total}</td><td>{attempt.score}%{attempt.scaled ? ` · ${attempt.scaled}` : ""}</td></tr>)}</tbody></table></div>
+  </section>;
+}
+
+function Stat({ value, label }) {
+  return <div className="stat"><div className="big">{value}</div><div className="label">{label}</div></div>;
+}
+
+function Trend({ attempts }) {
+  const width = 640, height = 160, pad = 14;
+  const x = (i) => attempts.length === 1 ? width / 2 : pad + i * (width - pad * 2) / (attempts.length - 1);
+  const y = (score) => height - pad - score / 100 * (height - pad * 2);
+  return <svg className="trend" viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Quiz score trend">
+    {[0, 50, 100].map((v) => <line key={v} x1={pad} x2={width - pad} y1={y(v)} y2={y(v)} className="trend-grid" />)}
+    <polyline points={attempts.map((a, i) => `${x(i)},${y(a.score)}`).join(" ")} className="trend-line" />
+    {attempts.map((a, i) => <circle key={a.id} cx={x(i)} cy={y(a.score)} r="4" className={a.kind === "exam" ? "trend-dot exam" : "trend-dot"}><title>{`${new Date(a.date).toLocaleDateString()} · ${a.label}: ${a.score}%`}</title></circle>)}
+  </svg>;
+}
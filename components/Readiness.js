@@ -0,0 +1,25 @@
+"use client";
+
+import Link from "next/link";
+import { useMemo } from "react";
+import { useProgress } from "./ProgressProvider";
+import { READINESS_WEIGHTS, domainReadiness, weightedReadiness } from "@/lib/objectives";
+
+const pct = (value) => `${Math.round(value * 100)}%`;
+
+function detail(row) {
+  const parts = [row.sections ? `${row.mastered}/${row.sections} sections mastered` : "no lessons yet", row.answered ? `${pct(row.accuracy)} correct over ${row.answered} answer${row.answered === 1 ? "" : "s"}` : "no quiz answers yet"];
+  return parts.join(" · ");
+}
+
+export default function Readiness({ shape, compact = false }) {
+  const { ready, mastered, quizAttempts } = useProgress();
+  const rows = useMemo(() => domainReadiness(shape, mastered, quizAttempts), [shape, mastered, quizAttempts]);
+  const overall = weightedReadiness(rows);
+
+  return <div className="report-card readiness">
+    <div className="readiness-head"><div><h3>Exam readiness estimate</h3><p className="course-note">Each domain blends section mastery ({pct(READINESS_WEIGHTS.mastery)}) with scenario quiz and exam accuracy ({pct(READINESS_WEIGHTS.accuracy)}), then counts by its exam weight.</p></div><div className="readiness-score"><b>{ready ? `${overall}%` : "—"}</b><small>weighted</small></div></div>
+    {rows.map((row) => <div className="report-row" key={row.domain}><span>{row.domain}. {row.name} <small>{row.weight}% of the exam · {detail(row)}</small></span><div className="progress"><span style={{ width: `${row.score}%` }} /></div><b>{row.score}%</b></div>)}
+    {compact && <Link className="readiness-link" href="/objectives">Objective coverage →</Link>}
+  </div>;
+}
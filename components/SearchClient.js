@@ -0,0 +1,44 @@
+"use client";
+
+import Link from "next/link";
+import { useEffect, useMemo, useState } from "react";
+import { usePathname, useRouter, useSearchParams } from "next/navigation";
+import { FIELD_LABELS, loadSearchIndex, resultHref, searchIndex } from "@/lib/search";
+
+export function Highlight({ segments }) {
+  return <>{segments.map((segment, i) => segment.hit ? <mark key={i}>{segment.text}</mark> : <span key={i}>{segment.text}</span>)}</>;
+}
+
+export default function SearchClient({ chapters }) {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const [query, setQuery] = useState(searchParams.get("q") || "");
+  const [selected, setSelected] = useState(() => (searchParams.get("chapters") || "").split(",").filter(Boolean).map(Number));
+  const [index, setIndex] = useState(null);
+  const [error, setError] = useState(false);
+
+  useEffect(() => { loadSearchIndex().then(setIndex, () => setError(true)); }, []);
+
+  useEffect(() => {
+    const params = new URLSearchParams();
+    if (query.trim()) params.set("q", query.trim());
+    if (selected.length) params.set("chapters", selected.join(","));
+    const next = params.toString();
+    if (next !== searchParams.toString()) router.replace(next ? `${pathname}?${next}` : pathname, { scroll: false });
+  }, [query, selected]);
+
+  const results = useMemo(() => index ? searchIndex(index, query, { chapters: selected, limit: 60 }) : [], [index, query, selected]);
+  const toggle = (chapter) => setSelected((current) => current.includes(chapter) ? current.filter((c) => c !== chapter) : [...current, chapter].sort((a, b) => a - b));
+
+  return <section>
+    <div className="view-head"><div><h2>Search the Course</h2><p>Searches titles, explanations, breakdowns, key terms, examples and exam focus across every lesson.</p></div></div>
+    <input className="search-page-input" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Try “salting”, “zero trust” or “OCSP stapling”…" autoFocus />
+    <div className="search-filters"><span>Chapters:</span>{chapters.map((chapter) => <button key={chapter.chapter} className={`chip ${selected.includes(chapter.chapter) ? "on" : ""}`} onClick={() => toggle(chapter.chapter)} title={chapter.name}>{chapter.chapter}</button>)}{selected.length > 0 && <button className="chip" onClick={() => setSelected([])}>All chapters</button>}</div>
+    {error ? <div className="notice">The search index could not be loaded. Check your connection and reload the page.</div>
+      : !index ? <p className="course-note">Loading search index…</p>
+      : !query.trim() ? <p className="course-note">Type a word or phrase to search every lesson.</p>
+      : !results.length ? <p className="course-note">No matches{selected.length ? " in the selected chapters" : ""}. Try a different spelling or fewer words.</p>
+      : <><p className="course-note">{results.length}{results.length === 60 ? "+" : ""} results</p><div className="search-results">{results.map(({ doc, field, title, snippet }) => <Link className="search-result" href={resultHref(doc)} key={`${doc.lessonId}-${doc.sectionNumber}`}><strong><Highlight segments={title} /></strong><span className="search-meta">{doc.subtitle} · matched in {FIELD_LABELS[field]}</span>{field !== "title" && <p><Highlight segments={snippet} /></p>}</Link>)}</div></>}
+  </section>;
+}
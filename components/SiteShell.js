@@ -3,33 +3,42 @@
 import { useEffect, useMemo, useState } from "react";
 import Link from "next/link";
 import { usePathname, useRouter } from "next/navigation";
+import { FIELD_LABELS, loadSearchIndex, resultHref, searchIndex } from "@/lib/search";
+import { Highlight } from "./SearchClient";
 
-export default function SiteShell({ navigation, searchIndex, children }) {
+export default function SiteShell({ navigation, children }) {
   const pathname = usePathname();
   const router = useRouter();
   const [sideOpen, setSideOpen] = useState(false);
   const [query, setQuery] = useState("");
   const [openChapters, setOpenChapters] = useState(new Set());
+  const [index, setIndex] = useState(null);
 
   useEffect(() => {
     if (localStorage.getItem("splus_theme") === "dark") document.body.classList.add("dark");
   }, []);
 
-  const results = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    if (!q) return [];
-    return searchIndex.filter((item) => `${item.title} ${item.subtitle}`.toLowerCase().includes(q)).slice(0, 10);
-  }, [query, searchIndex]);
+  const results = useMemo(() => index && query.trim() ? searchIndex(index, query, { limit: 8 }) : [], [index, query]);
+
+  function loadIndex() {
+    if (!index) loadSearchIndex().then(setIndex, () => {});
+  }
 
   function toggleTheme() {
     document.body.classList.toggle("dark");
     localStorage.setItem("splus_theme", document.body.classList.contains("dark") ? "dark" : "light");
   }
 
-  function goResult(item) {
+  function goResult(doc) {
+    setQuery("");
+    router.push(resultHref(doc));
+  }
+
+  function searchAll(e) {
+    e.preventDefault();
+    if (!query.trim()) return;
+    router.push(`/search?q=${encodeURIComponent(query.trim())}`);
     setQuery("");
-    const hash = item.sectionNumber ? `#section-${item.lessonId}-${item.sectionNumber}` : "";
-    router.push(`/course/${item.lessonId}${hash}`);
   }
 
   const active = (path) => pathname === path || (path !== "/" && pathname.startsWith(path));
@@ -39,10 +48,10 @@ export default function SiteShell({ navigation, searchIndex, children }) {
       <button className="icon mobile" onClick={() => setSideOpen((v) => !v)} aria-label="Toggle navigation">☰</button>
       <Link href="/" className="logo">S+</Link>
       <div className="brand"><strong>Security+ Study Guide</strong><small>Created by: Ariana Herrera</small></div>
-      <div className="search">
-        <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search every lesson and learning section…" />
-        {!!results.length && <div className="search-popover">{results.map((item, i) => <button key={`${item.lessonId}-${item.sectionNumber}-${i}`} onClick={() => goResult(item)}><strong>{item.title}</strong><span>{item.subtitle}</span></button>)}</div>}
-      </div>
+      <form className="search" onSubmit={searchAll}>
+        <input value={query} onFocus={loadIndex} onChange={(e) => { loadIndex(); setQuery(e.target.value); }} placeholder="Search every lesson and learning section…" />
+        {!!results.length && <div className="search-popover">{results.map(({ doc, field, title, snippet }) => <button type="button" key={`${doc.lessonId}-${doc.sectionNumber}`} onClick={() => goResult(doc)}><strong><Highlight segments={title} /></strong><span>{doc.subtitle} · {FIELD_LABELS[field]}</span>{field !== "title" && <small><Highlight segments={snippet} /></small>}</button>)}<button type="submit" className="search-all">See all results for “{query.trim()}” →</button></div>}
+      </form>
       <button className="icon" onClick={toggleTheme} aria-label="Toggle dark mode">◐</button>
     </header>
     <div className="layout">
@@ -50,7 +59,13 @@ export default function SiteShell({ navigation, searchIndex, children }) {
         <Link className={`nav ${active("/") && pathname === "/" ? "active" : ""}`} href="/">Home</Link>
         <Link className={`nav ${active("/course") ? "active" : ""}`} href="/course">Full Course</Link>
         <Link className={`nav ${active("/flashcards") ? "active" : ""}`} href="/flashcards">Course Flashcards</Link>
-        <Link className={`nav ${active("/quiz") ? "active" : ""}`} href="/quiz">Scenario Quiz</Link>
+        <Link className={`nav ${active("/quiz") && !active("/quiz/exam") ? "active" : ""}`} href="/quiz">Scenario Quiz</Link>
+        <Link className={`nav ${active("/quiz/exam") ? "active" : ""}`} href="/quiz/exam">Exam Simulation</Link>
+        <Link className={`nav ${active("/search") ? "active" : ""}`} href="/search">Search</Link>
+        <Link className={`nav ${active("/glossary") ? "active" : ""}`} href="/glossary">Glossary</Link>
+        <Link className={`nav ${active("/objectives") ? "active" : ""}`} href="/objectives">Exam Objectives</Link>
+        <Link className={`nav ${active("/notes") ? "active" : ""}`} href="/notes">My Notes</Link>
+        <Link className={`nav ${active("/progress") ? "active" : ""}`} href="/progress">Backup &amp; Restore</Link>
         <div className="side-title">Uploaded Chapters</div>
         {navigation.map((chapter) => {
           const open = openChapters.has(chapter.chapter);
@@ -0,0 +1,58 @@
+"use client";
+
+import Link from "next/link";
+import { useMemo, useState } from "react";
+import { useProgress } from "./ProgressProvider";
+import { addDays, dayKey } from "@/lib/srs";
+import { buildPlan, groupByLesson, newPlan, streaks, weekdayNames } from "@/lib/planner";
+
+const formatDay = (day) => new Date(`${day}T00:00`).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+export default function StudyPlanner({ progressShape }) {
+  const { ready, mastered, flashcards, plan, activity, savePlan } = useProgress();
+  const [editing, setEditing] = useState(false);
+  const today = dayKey();
+  const summary = useMemo(() => plan && buildPlan({ plan, progressShape, mastered, flashcards, activity }, today), [plan, progressShape, mastered, flashcards, activity, today]);
+  const streak = useMemo(() => streaks(activity, plan?.daysPerWeek, today), [activity, plan, today]);
+  const remaining = progressShape.reduce((sum, lesson) => sum + lesson.keys.filter((key) => !mastered.has(key)).length, 0);
+
+  if (!ready) return <div className="report-card planner"><h3>Study plan</h3><p className="course-note">Loading your progress…</p></div>;
+  if (!plan || editing) return <PlanForm plan={plan} today={today} remaining={remaining} onCancel={plan ? () => setEditing(false) : null} onSave={(values) => { savePlan(newPlan(values, remaining, today)); setEditing(false); }} />;
+
+  const { today: todo } = summary;
+  const status = summary.status > 0 ? ["ahead", `${plural(summary.status, "section")} ahead`] : summary.status < 0 ? ["behind", `${plural(-summary.status, "section")} behind`] : ["on-track", "On track"];
+  return <div className="report-card planner">
+    <div className="planner-head"><div><h3>Study plan</h3><p className="course-note">Exam on {formatDay(plan.examDate)} · {plural(summary.daysLeft, "day")} left · {plural(summary.studyDaysLeft, "study day")} ({weekdayNames(plan.daysPerWeek).join(", ")})</p></div><div className="controls"><button className="btn" onClick={() => setEditing(true)}>Edit plan</button><button className="btn" onClick={() => savePlan(null)}>Clear</button></div></div>
+    <div className="pills"><span className={`pill plan-status ${status[0]}`}>{status[1]}</span><span className="pill">{summary.remaining} sections to go · {summary.perDay}/study day</span><span className={`pill streak ${streak.today ? "lit" : ""}`}>🔥 {plural(streak.current, "day")} streak · best {streak.best}</span></div>
+    {summary.recalculated && summary.studyDaysLeft > 0 && <div className="notice">You fell behind the original pace of {summary.basePace} sections per study day, so the plan was recalculated to {summary.perDay} per study day to finish before the exam.</div>}
+    {!summary.studyDaysLeft && <div className="notice">There are no study days left before the exam. Everything still open is listed for today; pick a later exam date to spread it out.</div>}
+    <div className="planner-grid">
+      <div className="planner-today">
+        <h4>Today · {formatDay(today)}</h4>
+        {todo.target === 0
+          ? <p className="course-note">Rest day.{summary.nextStudyDay ? ` Next session: ${formatDay(summary.nextStudyDay)}.` : ""}</p>
+          : <><div className="planner-goal"><span>Master {plural(todo.target, "section")}</span><b>{Math.min(todo.done, todo.target)}/{todo.target}</b></div><div className="progress"><span style={{ width: `${Math.min(100, todo.done / todo.target * 100)}%` }} /></div></>}
+        {todo.keys.length > 0 && <ul className="planner-list">{groupByLesson(todo.keys).map(({ lesson, keys }) => <li key={lesson.id}><Link href={`/course/${lesson.id}#section-${keys[0]}`}><strong>{lesson.id} {lesson.title}</strong><small>{keys.length === 1 ? "section" : "sections"} {keys.map((key) => key.split("-").pop()).join(", ")}</small></Link></li>)}</ul>}
+        {todo.target > 0 && !todo.keys.length && <p className="course-note">✓ Today’s sections are done.</p>}
+        <div className="planner-goal"><span>Flashcard reviews{todo.reviewsDone ? ` · ${todo.reviewsDone} done` : ""}</span>{todo.reviewsDue ? <Link href="/flashcards">{todo.reviewsDue} due →</Link> : <b>✓</b>}</div>
+      </div>
+      <div>
+        <h4>Coming up</h4>
+        {summary.schedule.length ? <ul className="planner-days">{summary.schedule.map((day) => <li key={day.day}><span>{formatDay(day.day)}</span><span>{plural(day.sections, "section")}</span><span>{plural(day.reviews, "review")}</span></li>)}</ul> : <p className="course-note">Nothing scheduled before the exam.</p>}
+      </div>
+    </div>
+  </div>;
+}
+
+function PlanForm({ plan, today, remaining, onSave, onCancel }) {
+  const [examDate, setExamDate] = useState(plan?.examDate || addDays(today, 42));
+  const [daysPerWeek, setDaysPerWeek] = useState(plan?.daysPerWeek || 5);
+  const valid = examDate > today;
+  return <div className="report-card planner">
+    <h3>Study plan</h3>
+    <p className="course-note">Enter your exam date and how many days a week you can study. The {plural(remaining, "unmastered section")} and your flashcard reviews are spread across those days, and the plan adjusts itself if you fall behind.</p>
+    <div className="exam-config"><label>Exam date <input type="date" min={addDays(today, 1)} value={examDate} onChange={(e) => setExamDate(e.target.value)} /></label><label>Study days per week <select value={daysPerWeek} onChange={(e) => setDaysPerWeek(Number(e.target.value))}>{[1, 2, 3, 4, 5, 6, 7].map((n) => <option key={n} value={n}>{n} ({weekdayNames(n).join(", ")})</option>)}</select></label></div>
+    <div className="controls"><button className="btn primary" disabled={!valid} onClick={() => onSave({ examDate, daysPerWeek })}>{plan ? "Save plan" : "Create plan"}</button>{onCancel && <button className="btn" onClick={onCancel}>Cancel</button>}</div>
+  </div>;
+}
@@ -0,0 +1,87 @@
+export const CONVERSATIONS_KEY = "splus_tutor_conversations_v1";
+export const MAX_CONVERSATIONS = 40;
+export const MAX_MESSAGES = 200;
+export const MAX_STORED_CHARS = 600_000;
+export const RECENT_TURNS = 8;
+export const SUMMARY_BATCH = 6;
+
+export const conversationSection = (lessonId, sectionNumber) => `${lessonId}-${sectionNumber || 0}`;
+
+export function newConversation(lesson, section) {
+  const now = new Date().toISOString();
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    section: conversationSection(lesson.id, section?.n),
+    lessonId: lesson.id,
+    lessonTitle: lesson.title,
+    sectionNumber: section?.n || null,
+    sectionTitle: section?.title || "Lesson overview",
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    summary: null,
+  };
+}
+
+export function loadConversations() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(CONVERSATIONS_KEY));
+    return Array.isArray(raw?.conversations) ? raw.conversations.filter((c) => c && c.id && Array.isArray(c.messages)) : [];
+  } catch {
+    return [];
+  }
+}
+
+function trimMessages(conversation) {
+  const extra = conversation.messages.length - MAX_MESSAGES;
+  if (extra <= 0) return conversation;
+  const summary = conversation.summary && { ...conversation.summary, upTo: Math.max(0, conversation.summary.upTo - extra) };
+  return { ...conversation, messages: conversation.messages.slice(extra), summary };
+}
+
+export function capConversations(list, keepId) {
+  const kept = list.filter((c) => c.messages.length).map(trimMessages).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  let size = JSON.stringify(kept).length;
+  while (kept.length > 1 && (kept.length > MAX_CONVERSATIONS || size > MAX_STORED_CHARS)) {
+    const drop = kept.findLastIndex((c) => c.id !== keepId);
+    size -= JSON.stringify(kept[drop]).length + 1;
+    kept.splice(drop, 1);
+  }
+  return kept;
+}
+
+export function saveConversations(list, keepId) {
+  let kept = capConversations(list, keepId);
+  for (;;) {
+    try {
+      localStorage.setItem(CONVERSATIONS_KEY, JSON.stringify({ version: 1, conversations: kept }));
+      return kept;
+    } catch {
+      if (kept.length <= 1) return kept;
+      kept = kept.slice(0, Math.ceil(kept.length / 2));
+    }
+  }
+}
+
+export const storedSize = (list) => JSON.stringify(list).length;
+
+export function tutorHistory(conversation, messages = conversation.messages) {
+  const summary = conversation.summary && conversation.summary.upTo <= messages.length ? conversation.summary : null;
+  const sent = messages.map((m, i) => [m, i]).slice(summary?.upTo || 0).filter(([m]) => !m.error && m.content);
+  return {
+    summary: summary?.text || "",
+    history: sent.map(([{ role, content }]) => ({ role, content })),
+    indices: sent.map(([, i]) => i),
+  };
+}
+
+export function conversationMarkdown(conversation, origin = "") {
+  const lines = [`# ${conversation.lessonId} ${conversation.lessonTitle} — ${conversation.sectionTitle}`, "", `S+ AI Study Coach conversation, ${new Date(conversation.createdAt).toLocaleString()}`, ""];
+  conversation.messages.filter((m) => m.content).forEach((m) => {
+    lines.push(`### ${m.role === "user" ? "You" : "S+ Coach"}`, "", m.content.trim(), "");
+    if (m.citations?.length) {
+      lines.push("Sources:", ...m.citations.map((c) => `- [${c.n}] [${c.title}](${origin}/course/${c.lessonId}#section-${c.lessonId}-${c.sectionNumber}) (${c.lesson})`), "");
+    }
+  });
+  return lines.join("\n");
+}
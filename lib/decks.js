@@ -0,0 +1,96 @@
+export const MAX_DECKS = 10;
+export const MAX_DECK_CARDS = 1000;
+export const MAX_FIELD_LENGTH = 1000;
+// Decks are saved and synced with the rest of the progress, which the sync route caps at 1 MB.
+export const MAX_DECKS_BYTES = 400_000;
+export const MASTERY_FILTERS = [["all", "All cards"], ["mastered", "Mastered"], ["open", "Not mastered"]];
+const HEADERS = {
+  front: ["front", "question", "term", "prompt"],
+  back: ["back", "answer", "definition"],
+  extra: ["extra", "exam", "exam focus", "notes"],
+  tags: ["tags", "tag"],
+};
+
+export const deckCardKey = (deckId, cardId) => `deck:${deckId}:${cardId}`;
+export const decksSize = (decks) => new TextEncoder().encode(JSON.stringify(decks.filter((deck) => !deck.removed))).length;
+export const formatKb = (bytes) => `${Math.ceil(bytes / 1000)} KB`;
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const source = text.replace(/^﻿/, "");
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') field += source[++i];
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"' && !field) quoted = true;
+    else if (char === ",") { row.push(field); field = ""; }
+    else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += char;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+const csvCell = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+export const toCsv = (rows) => rows.map((row) => row.map((cell) => csvCell(String(cell ?? ""))).join(",")).join("\r\n");
+
+export function deckFromCsv(name, text, id = Date.now().toString(36)) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { errors: ["The file has no rows."] };
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const columns = Object.fromEntries(Object.entries(HEADERS).map(([field, names]) => [field, header.findIndex((cell) => names.includes(cell))]));
+  const hasHeader = columns.front >= 0 && columns.back >= 0;
+  const at = hasHeader ? columns : { front: 0, back: 1, extra: 2, tags: 3 };
+  const errors = [];
+  const cards = [];
+  rows.slice(hasHeader ? 1 : 0).forEach((row, i) => {
+    const line = i + (hasHeader ? 2 : 1);
+    const cell = (index) => (index >= 0 ? (row[index] || "").trim() : "");
+    const front = cell(at.front), back = cell(at.back);
+    if (!front || !back) return errors.push(`Row ${line}: a card needs both a front and a back.`);
+    if (front.length > MAX_FIELD_LENGTH || back.length > MAX_FIELD_LENGTH) return errors.push(`Row ${line}: fields are limited to ${MAX_FIELD_LENGTH} characters.`);
+    cards.push({ id: String(cards.length + 1), front, back, extra: cell(at.extra).slice(0, MAX_FIELD_LENGTH), tags: cell(at.tags).split(/[\s;]+/).filter(Boolean) });
+  });
+  if (cards.length > MAX_DECK_CARDS) return { errors: [`A deck can hold at most ${MAX_DECK_CARDS} cards; this file has ${cards.length}.`] };
+  if (!cards.length) return { errors: errors.length ? errors : ["No cards were found in the file."] };
+  return { deck: { id, name: name.trim() || "My deck", importedAt: new Date().toISOString(), cards }, errors };
+}
+
+export function deckCards(decks) {
+  return decks.flatMap((deck) => deck.cards.map((card) => ({
+    key: deckCardKey(deck.id, card.id),
+    deckId: deck.id,
+    lessonId: deck.name,
+    title: card.front,
+    answer: card.back,
+    exam: card.extra,
+    tags: card.tags,
+    custom: true,
+  })));
+}
+
+export function filterCards(cards, { chapters = [], mastery = "all", includeCustom = true }, mastered) {
+  return cards.filter((card) => (card.custom ? includeCustom && !chapters.length : !chapters.length || chapters.includes(card.chapter))
+    && (mastery === "all" || card.custom || (mastery === "mastered") === mastered.has(card.key)));
+}
+
+export function cardTags(card) {
+  if (card.custom) return ["splus-custom", ...card.tags];
+  return ["splus", `lesson::${card.lessonId}`, `chapter::${String(card.chapter).padStart(2, "0")}`];
+}
+
+const ankiField = (text) => String(text || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+
+export function ankiTsv(cards) {
+  const rows = cards.map((card) => [ankiField(card.title), `${ankiField(card.answer)}${card.exam ? `<br><br><b>Exam focus:</b> ${ankiField(card.exam)}` : ""}`, cardTags(card).join(" ")].join("\t"));
+  return ["#separator:tab", "#html:true", "#tags column:3", ...rows].join("\n");
+}
+
+export function cardsCsv(cards) {
+  return toCsv([["front", "back", "extra", "lesson", "chapter", "tags"], ...cards.map((card) => [card.title, card.answer, card.exam, card.custom ? "" : card.lessonId, card.custom ? "" : card.chapter, cardTags(card).join(" ")])]);
+}
@@ -0,0 +1,65 @@
+export const termSlug = (term) => term.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+const normalizeDefinition = (text) => text.trim().toLowerCase().replace(/\s+/g, " ").replace(/[.\s]+$/, "");
+const isAcronym = (term) => /[A-Z]/.test(term) && term === term.toUpperCase();
+
+export function buildGlossary(lessons) {
+  const entries = new Map();
+  lessons.forEach((lesson) => lesson.slides.forEach((section) => {
+    const source = { lessonId: lesson.id, lessonTitle: lesson.title, sectionNumber: section.n, title: section.title, chapter: lesson.chapter };
+    [...section.defs, ...(section.course?.defs || [])].forEach(({ term, definition }) => {
+      const key = term.trim().toLowerCase();
+      const entry = entries.get(key) || { spellings: new Map(), definitions: new Map() };
+      entry.spellings.set(term.trim(), (entry.spellings.get(term.trim()) || 0) + 1);
+      const meaning = entry.definitions.get(normalizeDefinition(definition)) || { text: definition.trim(), sources: [] };
+      if (!meaning.sources.some((s) => s.lessonId === source.lessonId && s.sectionNumber === source.sectionNumber)) meaning.sources.push(source);
+      entry.definitions.set(normalizeDefinition(definition), meaning);
+      entries.set(key, entry);
+    });
+  }));
+  return [...entries.values()].map(({ spellings, definitions }) => {
+    const term = [...spellings].sort((a, b) => b[1] - a[1])[0][0];
+    const meanings = [...definitions.values()].sort((a, b) => b.sources.length - a.sources.length);
+    const sources = meanings.flatMap((m) => m.sources).filter((s, i, all) => all.findIndex((o) => o.lessonId === s.lessonId && o.sectionNumber === s.sectionNumber) === i);
+    return {
+      term,
+      slug: termSlug(term),
+      letter: /^[a-z]/i.test(term) ? term[0].toUpperCase() : "#",
+      definitions: meanings,
+      sources,
+      chapters: [...new Set(sources.map((s) => s.chapter))].sort((a, b) => a - b),
+      conflict: meanings.length > 1,
+    };
+  }).sort((a, b) => a.term.localeCompare(b.term, "en", { sensitivity: "base" }));
+}
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export function termMatcher(entries) {
+  if (!entries.length) return null;
+  const byKey = new Map(entries.map((entry) => [entry.term.toLowerCase(), entry]));
+  const alternatives = [...entries].sort((a, b) => b.term.length - a.term.length).map((entry) => escape(entry.term));
+  return { pattern: new RegExp(`(?<![\\w/-])(${alternatives.join("|")})(?:e?s)?(?![\\w/-])`, "gi"), byKey };
+}
+
+export function linkTerms(text, matcher, seen = new Set()) {
+  if (!text || !matcher) return [{ text: text || "" }];
+  const segments = [];
+  let cursor = 0;
+  for (const match of String(text).matchAll(matcher.pattern)) {
+    const entry = matcher.byKey.get(match[1].toLowerCase());
+    if (!entry || seen.has(entry.slug) || (isAcronym(entry.term) && match[1] !== entry.term)) continue;
+    seen.add(entry.slug);
+    if (match.index > cursor) segments.push({ text: text.slice(cursor, match.index) });
+    segments.push({ text: match[0], entry });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  return segments;
+}
+
+export function lessonGlossary(glossary, lesson) {
+  const text = lesson.slides.map((s) => [s.course?.learn, s.teach, s.course?.why, s.course?.example, s.course?.exam, ...(s.course?.breakdown || []).map((b) => b.explanation)].join(" ")).join(" ");
+  const matcher = termMatcher(glossary);
+  const used = new Set([...text.matchAll(matcher.pattern)].map((match) => match[1].toLowerCase()));
+  return glossary.filter((entry) => used.has(entry.term.toLowerCase())).map(({ term, slug, definitions, conflict }) => ({ term, slug, definition: definitions[0].text, conflict }));
+}
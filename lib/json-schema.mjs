@@ -0,0 +1,59 @@
+// A small JSON Schema validator covering the keywords used by content/schema/*.json:
+// type, required, properties, additionalProperties, items, minItems, uniqueItems, minLength,
+// pattern, minimum, maximum, enum, const, $ref (local #/$defs only), if/then and allOf.
+
+const typeOf = (value) => (Array.isArray(value) ? "array" : value === null ? "null" : Number.isInteger(value) ? "integer" : typeof value);
+const matchesType = (value, type) => typeOf(value) === type || (type === "number" && typeOf(value) === "integer");
+const pointer = (path) => path || "/";
+
+function resolve(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Only local $ref values are supported (got ${ref})`);
+  return ref.slice(2).split("/").reduce((node, key) => node?.[key], root);
+}
+
+function check(root, schema, value, path, errors) {
+  if (schema.$ref) return check(root, resolve(root, schema.$ref), value, path, errors);
+  const before = errors.length;
+  if (schema.type && ![].concat(schema.type).some((type) => matchesType(value, type))) {
+    errors.push(`${pointer(path)}: must be ${[].concat(schema.type).join(" or ")}, got ${typeOf(value)}`);
+    return false;
+  }
+  if ("const" in schema && value !== schema.const) errors.push(`${pointer(path)}: must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${pointer(path)}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${pointer(path)}: must not be empty`);
+    else if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) errors.push(`${pointer(path)}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${pointer(path)}: must be at least ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${pointer(path)}: must be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${pointer(path)}: must have at least ${schema.minItems} item(s)`);
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push(`${path}/${i}: duplicates an earlier item`);
+        seen.add(key);
+      });
+    }
+    if (schema.items) value.forEach((item, i) => check(root, schema.items, item, `${path}/${i}`, errors));
+  }
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach((key) => { if (!(key in value)) errors.push(`${pointer(path)}: missing required property "${key}"`); });
+    Object.entries(value).forEach(([key, item]) => {
+      if (schema.properties?.[key]) check(root, schema.properties[key], item, `${path}/${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${pointer(path)}: unexpected property "${key}"`);
+    });
+  }
+  if (schema.if && schema.then && check(root, schema.if, value, path, [])) check(root, schema.then, value, path, errors);
+  (schema.allOf || []).forEach((part) => check(root, part, value, path, errors));
+  return errors.length === before;
+}
+
+export function validateSchema(schema, value) {
+  const errors = [];
+  check(schema, schema, value, "", errors);
+  return errors;
+}
@@ -0,0 +1,96 @@
+import OpenAI from "openai";
+
+function envConfig(prefix, defaults) {
+  const maxTokens = Number(process.env[`${prefix}_MAX_TOKENS`]);
+  return {
+    model: process.env[`${prefix}_MODEL`] || defaults.model,
+    maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : defaults.maxTokens,
+    systemPrompt: process.env[`${prefix}_SYSTEM_PROMPT`] || process.env.TUTOR_SYSTEM_PROMPT || null,
+  };
+}
+
+function openaiProvider() {
+  const config = envConfig("OPENAI", { model: "gpt-5.6", maxTokens: 900 });
+  return {
+    name: "openai",
+    ...config,
+    configError: process.env.OPENAI_API_KEY ? null : "AI Tutor is not configured yet. Add OPENAI_API_KEY in Vercel Environment Variables.",
+    async *stream({ instructions, input, signal }) {
+      const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      const events = await openai.responses.create({ model: config.model, instructions, input, max_output_tokens: config.maxTokens, stream: true }, { signal });
+      for await (const event of events) {
+        if (event.type === "response.output_text.delta" && event.delta) yield { text: event.delta };
+        else if (event.type === "response.completed" && event.response?.usage) yield { usage: { inputTokens: event.response.usage.input_tokens, outputTokens: event.response.usage.output_tokens } };
+        else if (event.type === "response.failed" || event.type === "error") throw new Error(event.response?.error?.message || event.message || "Response stream failed");
+      }
+    },
+  };
+}
+
+function localProvider() {
+  const config = envConfig("LOCAL_LLM", { model: "llama3.1", maxTokens: 900 });
+  const baseURL = process.env.LOCAL_LLM_BASE_URL;
+  return {
+    name: "local",
+    ...config,
+    configError: baseURL ? null : "AI Tutor is set to a local model but LOCAL_LLM_BASE_URL is not set (for Ollama use http://localhost:11434/v1).",
+    async *stream({ instructions, input, signal }) {
+      const client = new OpenAI({ baseURL, apiKey: process.env.LOCAL_LLM_API_KEY || "local" });
+      const chunks = await client.chat.completions.create({ model: config.model, messages: [{ role: "system", content: instructions }, ...input], max_tokens: config.maxTokens, stream: true, stream_options: { include_usage: true } }, { signal });
+      for await (const chunk of chunks) {
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) yield { text };
+        if (chunk.usage) yield { usage: { inputTokens: chunk.usage.prompt_tokens, outputTokens: chunk.usage.completion_tokens } };
+      }
+    },
+  };
+}
+
+const MOCK_ANSWERS = [
+  [/^GENERATE QUESTIONS/, JSON.stringify([
+    { q: "A security analyst notices that a file downloaded from a vendor portal has a different hash than the one published on the vendor's website. What should the analyst conclude FIRST?", choices: ["The file may have been altered and should not be trusted", "The vendor uses a weak encryption algorithm", "The download was too slow", "The analyst's antivirus is out of date"], answer: 0, why: "A hash mismatch means the file is not identical to what the publisher released, so its integrity cannot be trusted. It says nothing about encryption strength.", domain: 1 },
+    { q: "An employee receives an urgent call from someone claiming to be the help desk and asking for their MFA code. Which attack is MOST likely taking place?", choices: ["Vishing", "Smishing", "Watering hole", "Typosquatting"], answer: 0, why: "A voice call used to trick someone into revealing credentials is vishing. Smishing uses text messages instead.", domain: 2 },
+  ])],
+  [/^KNOWLEDGE CHECK/, '{"verdict": "pass", "feedback": "This is the mock grader. Your answer covers the main idea of the model answer; compare the wording to check you did not miss a detail."}'],
+  [/quiz/i, "Here is a practice question.\n\nA help desk technician receives a call from someone claiming to be the CEO who needs a password reset immediately. What should the technician do first?\n\nA. Reset the password\nB. Verify the caller's identity through a known channel\nC. Email the new password\nD. Escalate to the CEO's assistant\n\nReply with your answer and I will explain it."],
+  [/analogy/i, "Think of it like a building's front desk: every visitor has to show who they are before they are let in, and the desk keeps a log of who came and went. The technical control works the same way: identify, verify, then record."],
+  [/example/i, "Example: an attacker sends a convincing invoice email to the accounts team. The security control catches it because the sender's domain fails authentication checks, and the user reports it instead of opening the attachment."],
+  [/exam|test/i, "Clue words to watch for: \"first\", \"best\" and \"most likely\". The exam usually rewards the control that addresses the stated risk directly. A common trap is an answer that is true in general but does not fit the scenario."],
+  [/compare|confused/i, "These two are often confused. The first one prevents the problem before it happens; the second one detects it after the fact. On the exam, look for whether the scenario asks you to stop something or to find out that it happened."],
+];
+
+function mockProvider() {
+  const config = envConfig("MOCK_LLM", { model: "mock", maxTokens: 900 });
+  const delay = Number(process.env.MOCK_LLM_DELAY_MS ?? 15);
+  return {
+    name: "mock",
+    ...config,
+    configError: null,
+    async *stream({ instructions, input, signal }) {
+      const question = String(input[input.length - 1]?.content || "");
+      const canned = MOCK_ANSWERS.find(([pattern]) => pattern.test(question))?.[1];
+      const answer = (canned || `This is the mock tutor. With a real provider the configured model would answer from the course context here. You asked:\n\n> ${question.slice(0, 200)}`).slice(0, config.maxTokens * 4);
+      const pieces = answer.match(/\S+\s*/g) || [];
+      const failAt = question.includes("mock:fail") ? Math.floor(pieces.length / 2) : -1;
+      for (const [i, piece] of pieces.entries()) {
+        if (signal?.aborted) return;
+        if (i === failAt) throw new Error("Mock provider failure");
+        if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+        yield { text: piece };
+      }
+      yield { usage: { inputTokens: Math.ceil((instructions.length + JSON.stringify(input).length) / 4), outputTokens: Math.ceil(answer.length / 4) } };
+    },
+  };
+}
+
+const factories = new Map([["openai", openaiProvider], ["local", localProvider], ["mock", mockProvider]]);
+
+export function registerLlmProvider(name, factory) {
+  factories.set(name, factory);
+}
+
+export function getLlmProvider(name = process.env.TUTOR_PROVIDER || "openai") {
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Unknown TUTOR_PROVIDER "${name}". Use one of: ${[...factories.keys()].join(", ")}.`);
+  return factory();
+}
@@ -0,0 +1,49 @@
+// Parses the small Markdown subset used in notes (headings, lists, quotes, code fences, paragraphs)
+// into plain block objects so components can render it without injecting HTML.
+export function parseMarkdown(text = "") {
+  const blocks = [];
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+    if (line.startsWith("```")) {
+      const code = [];
+      for (i++; i < lines.length && !lines[i].startsWith("```"); i++) code.push(lines[i]);
+      blocks.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] });
+      continue;
+    }
+    const list = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+    if (list) {
+      const ordered = /\d/.test(list[1]);
+      const items = [];
+      for (; i < lines.length && /^\s*([-*+]|\d+[.)])\s+/.test(lines[i]); i++) items.push(lines[i].replace(/^\s*([-*+]|\d+[.)])\s+/, ""));
+      i--;
+      blocks.push({ type: "list", ordered, items });
+      continue;
+    }
+    const collected = [];
+    const quoted = line.startsWith(">");
+    for (; i < lines.length && lines[i].trim() && lines[i].startsWith(">") === quoted && !/^(#{1,6}\s|```|\s*([-*+]|\d+[.)])\s)/.test(lines[i]); i++) collected.push(quoted ? lines[i].replace(/^>\s?/, "") : lines[i]);
+    i--;
+    blocks.push({ type: quoted ? "quote" : "paragraph", text: collected.join("\n") });
+  }
+  return blocks;
+}
+
+const INLINE = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*\s][^*]*\*|_[^_\s][^_]*_|\[[^\]]+\]\([^)\s]+\))/g;
+
+export function parseInline(text) {
+  return text.split(INLINE).filter(Boolean).map((part) => {
+    if (/^`.*`$/.test(part)) return { type: "code", text: part.slice(1, -1) };
+    if (/^\*\*.*\*\*$/.test(part)) return { type: "strong", text: part.slice(2, -2) };
+    if (/^(\*.*\*|_.*_)$/.test(part)) return { type: "em", text: part.slice(1, -1) };
+    const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+    if (link) return { type: "link", text: link[1], href: /^(https?:|\/|#)/.test(link[2]) ? link[2] : null };
+    return { type: "text", text: part };
+  });
+}
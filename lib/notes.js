@@ -0,0 +1,62 @@
+export const NOTE_BLOCKS = [["learn", "Learn this"], ["example", "Example"], ["exam", "Security+ exam focus"]];
+export const MAX_NOTE_LENGTH = 20000;
+export const MAX_HIGHLIGHTS = 60;
+
+export const isEmptyNote = (note) => !note || (!note.bookmarked && !note.text?.trim() && !note.highlights?.length);
+
+export function placeHighlights(text, highlights = [], block) {
+  const ranges = [];
+  highlights.forEach((highlight, index) => {
+    if (highlight.block !== block) return;
+    let start = text.slice(highlight.start, highlight.end) === highlight.text ? highlight.start : text.indexOf(highlight.text);
+    if (start < 0 || !highlight.text) return;
+    ranges.push({ start, end: start + highlight.text.length, index });
+  });
+  return ranges.sort((a, b) => a.start - b.start).filter((range, i, all) => !i || range.start >= all[i - 1].end);
+}
+
+export function markSegments(segments, ranges) {
+  if (!ranges.length) return segments;
+  const out = [];
+  let at = 0;
+  segments.forEach((segment) => {
+    const end = at + segment.text.length;
+    let cursor = at;
+    ranges.filter((range) => range.start < end && range.end > at).forEach((range) => {
+      const from = Math.max(range.start, at), to = Math.min(range.end, end);
+      if (from > cursor) out.push({ ...segment, text: segment.text.slice(cursor - at, from - at) });
+      out.push({ ...segment, text: segment.text.slice(from - at, to - at), highlight: range.index });
+      cursor = to;
+    });
+    if (cursor < end) out.push({ ...segment, text: segment.text.slice(cursor - at) });
+    at = end;
+  });
+  return out;
+}
+
+export function addHighlight(highlights = [], { block, start, end, text }) {
+  const overlapping = highlights.filter((h) => h.block === block && h.start < end && h.end > start);
+  if (!overlapping.length) return [...highlights, { block, start, end, text: text.slice(start, end) }].slice(-MAX_HIGHLIGHTS);
+  const from = Math.min(start, ...overlapping.map((h) => h.start)), to = Math.max(end, ...overlapping.map((h) => h.end));
+  return [...highlights.filter((h) => !overlapping.includes(h)), { block, start: from, end: to, text: text.slice(from, to) }];
+}
+
+const quote = (text) => text.trim().split("\n").map((line) => `> ${line}`).join("\n");
+
+export function notesMarkdown(entries, origin = "") {
+  const lines = ["# Security+ study notes", "", `Exported ${new Date().toLocaleString()}`, ""];
+  let chapter = null;
+  entries.forEach(({ section, note }) => {
+    if (section.chapter !== chapter) {
+      chapter = section.chapter;
+      lines.push(`## Chapter ${section.chapter}: ${section.chapterName}`, "");
+    }
+    lines.push(`### ${section.lessonId} ${section.lessonTitle} — ${section.title}${note.bookmarked ? " ★" : ""}`, "", `[Open section](${origin}/course/${section.lessonId}#section-${section.key})`, "");
+    NOTE_BLOCKS.forEach(([block, label]) => {
+      const marks = (note.highlights || []).filter((h) => h.block === block);
+      if (marks.length) lines.push(`**${label}**`, "", ...marks.flatMap((h) => [quote(h.text), ""]));
+    });
+    if (note.text?.trim()) lines.push(note.text.trim(), "");
+  });
+  return lines.join("\n");
+}
@@ -0,0 +1,68 @@
+export const READINESS_WEIGHTS = { mastery: 0.4, accuracy: 0.6 };
+export const COVERAGE_LABELS = { covered: "Covered", partial: "Partial", uncovered: "Not covered" };
+
+export const objectiveDomain = (id) => Number(String(id).split(".")[0]);
+export const objectiveList = (domains) => domains.flatMap((domain) => domain.objectives.map((objective) => ({ ...objective, domain: domain.domain })));
+export const objectiveDomains = (domains) => new Map(objectiveList(domains).map((objective) => [objective.id, objective.domain]));
+
+// Every learning section is also a flashcard, so `keys` covers both lessons and the course deck.
+export function objectiveCoverage(domains, lessons, questions) {
+  const rows = new Map(objectiveList(domains).map((objective) => [objective.id, { ...objective, lessons: [], keys: [], questions: 0, termQuestions: 0 }]));
+  lessons.forEach((lesson) => lesson.slides.filter((section) => section.instructional).forEach((section) => (section.objectives || []).forEach((id) => {
+    const row = rows.get(id);
+    if (!row) return;
+    row.keys.push(`${lesson.id}-${section.n}`);
+    if (!row.lessons.some((entry) => entry.id === lesson.id)) row.lessons.push({ id: lesson.id, title: lesson.title });
+  })));
+  questions.forEach((q) => (q.objectives || []).forEach((id) => {
+    const row = rows.get(id);
+    if (row) row[q.generated ? "termQuestions" : "questions"] += 1;
+  }));
+  return [...rows.values()].map((row) => ({ ...row, status: coverageStatus(row) }));
+}
+
+function coverageStatus(row) {
+  const practice = row.questions + row.termQuestions;
+  if (!row.keys.length && !practice) return "uncovered";
+  return row.keys.length && practice ? "covered" : "partial";
+}
+
+export function readinessShape(domains, lessons, questions) {
+  const keys = Object.fromEntries(domains.map((domain) => [domain.domain, []]));
+  lessons.forEach((lesson) => lesson.slides.filter((section) => section.instructional).forEach((section) => {
+    new Set((section.objectives || []).map(objectiveDomain)).forEach((domain) => keys[domain]?.push(`${lesson.id}-${section.n}`));
+  }));
+  return {
+    domains: domains.map(({ domain, name, weight }) => ({ domain, name, weight })),
+    keys,
+    questions: Object.fromEntries(questions.map((q) => [q.id, q.domain])),
+  };
+}
+
+// Mastery of a domain's learning sections and accuracy on its scenario and exam questions, blended with
+// READINESS_WEIGHTS. A domain with only one of the two uses it alone; a domain with neither scores 0.
+export function domainReadiness(shape, mastered, attempts) {
+  const answers = new Map();
+  attempts.forEach((attempt) => attempt.answers.forEach((answer) => {
+    const domain = shape.questions[answer.id];
+    if (domain == null) return;
+    const current = answers.get(domain) || { seen: 0, credit: 0 };
+    current.seen += 1;
+    current.credit += answer.credit ?? (answer.correct ? 1 : 0);
+    answers.set(domain, current);
+  }));
+  return shape.domains.map((domain) => {
+    const keys = shape.keys[domain.domain] || [];
+    const done = keys.filter((key) => mastered.has(key)).length;
+    const { seen, credit } = answers.get(domain.domain) || { seen: 0, credit: 0 };
+    const mastery = keys.length ? done / keys.length : null;
+    const accuracy = seen ? credit / seen : null;
+    const score = mastery == null ? accuracy ?? 0 : accuracy == null ? mastery : READINESS_WEIGHTS.mastery * mastery + READINESS_WEIGHTS.accuracy * accuracy;
+    return { ...domain, sections: keys.length, mastered: done, answered: seen, mastery, accuracy, score: Math.round(score * 100) };
+  });
+}
+
+export function weightedReadiness(rows) {
+  const weight = rows.reduce((sum, row) => sum + row.weight, 0);
+  return weight ? Math.round(rows.reduce((sum, row) => sum + row.weight * row.score, 0) / weight) : 0;
+}
@@ -0,0 +1,77 @@
+export const OFFLINE_PAGES = ["/", "/offline", "/course", "/flashcards", "/quiz", "/quiz/exam", "/quiz/report", "/glossary", "/objectives", "/notes", "/search", "/progress"];
+export const OFFLINE_FILES = ["/search-index.json", "/manifest.webmanifest", "/icon.svg"];
+const FONT_ORIGINS = ["https://fonts.googleapis.com", "https://fonts.gstatic.com"];
+
+export function serviceWorkerSource({ version, urls }) {
+  return `const VERSION = ${JSON.stringify(version)};
+const PRECACHE = ${JSON.stringify(urls)};
+const FONT_ORIGINS = ${JSON.stringify(FONT_ORIGINS)};
+const CACHE = "splus-" + VERSION;
+const ASSET_PATTERN = /\\/_next\\/static\\/[^"'\\s\\\\)]+/g;
+
+async function precache() {
+  const cache = await caches.open(CACHE);
+  const assets = new Set();
+  const queue = [...PRECACHE];
+  async function worker() {
+    for (let url = queue.shift(); url; url = queue.shift()) {
+      const response = await fetch(url, { cache: "reload" });
+      if (!response.ok) throw new Error("Precache failed for " + url + " (" + response.status + ")");
+      const type = response.headers.get("content-type") || "";
+      if (type.includes("html") || type.includes("css")) (await response.clone().text()).match(ASSET_PATTERN)?.forEach((asset) => assets.add(asset));
+      await cache.put(url, response);
+    }
+  }
+  await Promise.all([1, 2, 3, 4].map(worker));
+  const styles = [...assets].filter((asset) => asset.endsWith(".css"));
+  for (const style of styles) {
+    const response = await fetch(style);
+    if (response.ok) (await response.clone().text()).match(ASSET_PATTERN)?.forEach((asset) => assets.add(asset));
+  }
+  queue.push(...assets);
+  await Promise.all([1, 2, 3, 4].map(worker));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => { if (!self.registration.active) return self.skipWaiting(); }));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(caches.keys().then((keys) => Promise.all(keys.filter((key) => key.startsWith("splus-") && key !== CACHE).map((key) => caches.delete(key)))).then(() => self.clients.claim()));
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+async function fromCache(request, key) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(key || request, { ignoreSearch: !key });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+  return response;
+}
+
+async function page(request, url) {
+  const path = url.pathname.replace(/\\/+$/, "") || "/";
+  try {
+    return await fromCache(request, path);
+  } catch {
+    return (await caches.match("/offline")) || Response.error();
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== "GET") return;
+  if (FONT_ORIGINS.includes(url.origin)) return event.respondWith(fromCache(request));
+  if (url.origin !== self.location.origin || url.pathname.startsWith("/api/") || url.pathname === "/sw.js") return;
+  // Client-side navigations fetch RSC payloads; when offline they fail and Next.js falls back to a full page load served from the cache.
+  if (request.headers.get("RSC") || url.searchParams.has("_rsc")) return;
+  if (request.mode === "navigate") return event.respondWith(page(request, url));
+  event.respondWith(fromCache(request));
+});
+`;
+}
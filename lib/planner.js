@@ -0,0 +1,104 @@
+import { addDays, dayKey } from "./srs";
+
+export const MAX_ACTIVITY_DAYS = 400;
+export const UPCOMING_DAYS = 7;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const STUDY_WEEKDAYS = { 1: [6], 2: [3, 6], 3: [1, 3, 6], 4: [1, 2, 4, 6], 5: [1, 2, 3, 4, 5], 6: [1, 2, 3, 4, 5, 6], 7: [0, 1, 2, 3, 4, 5, 6] };
+
+const weekday = (day) => {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(y, m - 1, d).getDay();
+};
+
+export const isDayKey = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+export const studyWeekdays = (daysPerWeek) => STUDY_WEEKDAYS[daysPerWeek] || STUDY_WEEKDAYS[7];
+export const weekdayNames = (daysPerWeek) => studyWeekdays(daysPerWeek).map((day) => WEEKDAYS[day]);
+export const isStudyDay = (day, daysPerWeek) => studyWeekdays(daysPerWeek).includes(weekday(day));
+
+export function studyDaysBetween(from, to, daysPerWeek) {
+  const days = [];
+  for (let day = from; day < to; day = addDays(day, 1)) if (isStudyDay(day, daysPerWeek)) days.push(day);
+  return days;
+}
+
+export function newPlan({ examDate, daysPerWeek }, remaining, today = dayKey()) {
+  return { examDate, daysPerWeek, start: today, startRemaining: remaining };
+}
+
+export function recordActivity(activity, { section, unmaster, review }, today = dayKey()) {
+  const entry = activity[today] || { sections: [], reviews: 0 };
+  const sections = unmaster ? entry.sections.filter((key) => key !== section) : section && !entry.sections.includes(section) ? [...entry.sections, section] : entry.sections;
+  const next = { ...activity, [today]: { sections, reviews: entry.reviews + (review ? 1 : 0) } };
+  if (!next[today].sections.length && !next[today].reviews) delete next[today];
+  const days = Object.keys(next).sort();
+  return days.length > MAX_ACTIVITY_DAYS ? Object.fromEntries(days.slice(-MAX_ACTIVITY_DAYS).map((day) => [day, next[day]])) : next;
+}
+
+export function streaks(activity, daysPerWeek = 7, today = dayKey()) {
+  const studied = (day) => !!activity[day];
+  const days = Object.keys(activity).sort();
+  let best = 0, run = 0;
+  if (days.length) {
+    for (let day = days[0]; day <= today; day = addDays(day, 1)) {
+      if (studied(day)) best = Math.max(best, ++run);
+      else if (isStudyDay(day, daysPerWeek) && day !== today) run = 0;
+    }
+  }
+  return { current: run, best, today: studied(today) };
+}
+
+export function buildPlan({ plan, progressShape, mastered, flashcards, activity }, today = dayKey()) {
+  const doneToday = (activity[today]?.sections || []).filter((key) => mastered.has(key));
+  const open = progressShape.flatMap((lesson) => lesson.keys.filter((key) => !mastered.has(key)).map((key) => ({ key, lesson })));
+  const remaining = open.length + doneToday.length;
+  const days = studyDaysBetween(today, plan.examDate, plan.daysPerWeek);
+  const studyToday = days[0] === today;
+  const perDay = days.length ? Math.ceil(remaining / days.length) : remaining;
+  const todayTarget = studyToday || !days.length ? perDay : 0;
+  const todayKeys = open.slice(0, Math.max(0, todayTarget - doneToday.length));
+  const dueNow = Object.values(flashcards).filter((card) => card.due <= today).length;
+  const schedule = [];
+  let left = remaining - todayTarget;
+  days.filter((day) => day !== today).slice(0, UPCOMING_DAYS).forEach((day, i, upcoming) => {
+    const from = i ? upcoming[i - 1] : today;
+    const sections = Math.min(left, Math.ceil(left / (days.length - (studyToday ? 1 : 0) - i)));
+    left -= sections;
+    schedule.push({ day, sections, reviews: Object.values(flashcards).filter((card) => card.due > from && card.due <= day).length });
+  });
+
+  const totalDays = studyDaysBetween(plan.start, plan.examDate, plan.daysPerWeek).length;
+  const elapsed = studyDaysBetween(plan.start, today, plan.daysPerWeek).length;
+  const expected = totalDays ? Math.min(plan.startRemaining, Math.ceil(plan.startRemaining * elapsed / totalDays)) : plan.startRemaining;
+  const done = plan.startRemaining - remaining;
+  const basePace = totalDays ? Math.ceil(plan.startRemaining / totalDays) : plan.startRemaining;
+
+  return {
+    daysLeft: Math.max(0, Math.round((new Date(`${plan.examDate}T00:00`) - new Date(`${today}T00:00`)) / 86400000)),
+    studyDaysLeft: days.length,
+    studyToday,
+    nextStudyDay: days.find((day) => day !== today) || null,
+    remaining,
+    perDay,
+    basePace,
+    recalculated: perDay > basePace,
+    today: {
+      target: todayTarget,
+      done: doneToday.length,
+      keys: todayKeys,
+      reviewsDue: dueNow,
+      reviewsDone: activity[today]?.reviews || 0,
+    },
+    status: done - expected,
+    schedule,
+  };
+}
+
+export function groupByLesson(items) {
+  const groups = new Map();
+  items.forEach(({ key, lesson }) => {
+    const group = groups.get(lesson.id) || { lesson, keys: [] };
+    group.keys.push(key);
+    groups.set(lesson.id, group);
+  });
+  return [...groups.values()];
+}
@@ -0,0 +1,63 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+
+export function syncId(code) {
+  return createHash("sha256").update(`splus-sync:${code}`).digest("hex");
+}
+
+function memoryStore() {
+  const records = globalThis.__splusProgressRecords || new Map();
+  globalThis.__splusProgressRecords = records;
+  return {
+    get: async (id) => records.get(id) || null,
+    put: async (id, record) => { records.set(id, record); },
+    remove: async (id) => { records.delete(id); },
+  };
+}
+
+function fileStore(dir = process.env.PROGRESS_STORE_DIR || path.join(process.cwd(), ".data", "progress")) {
+  const file = (id) => path.join(dir, `${id}.json`);
+  return {
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(file(id), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async put(id, record) {
+      await fs.mkdir(dir, { recursive: true });
+      const temp = `${file(id)}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(record));
+      await fs.rename(temp, file(id));
+    },
+    async remove(id) {
+      await fs.rm(file(id), { force: true });
+    },
+  };
+}
+
+const factories = new Map([["memory", memoryStore], ["file", fileStore]]);
+
+export function registerProgressStore(name, factory) {
+  factories.set(name, factory);
+}
+
+export function getProgressStore(name = process.env.PROGRESS_STORE || "file") {
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Unknown PROGRESS_STORE "${name}". Use one of: ${[...factories.keys()].join(", ")}.`);
+  return factory();
+}
+
+const locks = globalThis.__splusProgressLocks || new Map();
+globalThis.__splusProgressLocks = locks;
+
+export function withLock(id, task) {
+  const run = (locks.get(id) || Promise.resolve()).then(task, task);
+  const settled = run.catch(() => {});
+  locks.set(id, settled);
+  settled.then(() => { if (locks.get(id) === settled) locks.delete(id); });
+  return run;
+}
@@ -0,0 +1,234 @@
+import { MAX_DECKS, MAX_DECK_CARDS, MAX_FIELD_LENGTH, deckCardKey } from "./decks";
+import { MAX_HIGHLIGHTS, MAX_NOTE_LENGTH, NOTE_BLOCKS, isEmptyNote } from "./notes";
+import { MAX_ACTIVITY_DAYS, isDayKey } from "./planner";
+import { MAX_SAVED_ATTEMPTS } from "./quiz";
+
+export const PROGRESS_VERSION = 10;
+export const STORAGE_KEY = "splus_course_progress";
+export const LEGACY_STORAGE_KEY = "splus_course_progress_v3";
+const EXPORT_KIND = "splus-course-progress";
+export const CHECK_RESULTS = ["pass", "fail"];
+export const MAX_CHECK_ANSWER = 2000;
+
+const isObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+export function emptyProgress() {
+  return { version: PROGRESS_VERSION, mastered: [], masteryChanges: {}, bestScore: null, quizAttempts: [], flashcards: {}, checks: {}, plan: null, activity: {}, notes: {}, decks: [], lessonQuizzes: {}, settings: {} };
+}
+
+// The only legacy shape is the unversioned `{ mastered, bestScore }` object saved under LEGACY_STORAGE_KEY (v3).
+const FIRST_VERSION = 3;
+const MIGRATIONS = {
+  3: (data) => ({ ...emptyProgress(), ...data, version: 4 }),
+  4: (data) => ({ ...data, checks: {}, version: 5 }),
+  5: (data) => ({ ...data, plan: null, activity: {}, version: 6 }),
+  6: (data) => ({ ...data, notes: {}, version: 7 }),
+  7: (data) => ({ ...data, decks: [], version: 8 }),
+  8: (data) => ({ ...data, lessonQuizzes: {}, version: 9 }),
+  9: (data) => ({ ...data, masteryChanges: {}, version: 10 }),
+};
+
+export function detectVersion(raw) {
+  if (!isObject(raw)) return null;
+  if (Number.isInteger(raw.version)) return raw.version >= FIRST_VERSION ? raw.version : null;
+  return Array.isArray(raw.mastered) ? FIRST_VERSION : null;
+}
+
+export function migrateProgress(raw) {
+  let version = detectVersion(raw);
+  if (version == null) return { data: emptyProgress(), from: null, errors: ["Saved progress has an unrecognized shape."] };
+  if (version > PROGRESS_VERSION) return { data: emptyProgress(), from: version, errors: [`Saved progress is from a newer version (${version}) of this course.`] };
+  const from = version;
+  let data = raw;
+  while (version < PROGRESS_VERSION) {
+    data = MIGRATIONS[version](data);
+    version = data.version;
+  }
+  return { data, from, errors: [] };
+}
+
+export function validateProgress(data, knownKeys) {
+  const errors = [];
+  const unknownKeys = new Set();
+  const known = (key) => {
+    if (!knownKeys || knownKeys.has(key)) return true;
+    unknownKeys.add(key);
+    return false;
+  };
+  if (!isObject(data)) return { value: emptyProgress(), errors: ["Progress data must be an object."], unknownKeys: [] };
+
+  const value = emptyProgress();
+  if (!Array.isArray(data.mastered)) errors.push("`mastered` must be a list of section keys.");
+  else value.mastered = [...new Set(data.mastered.filter((key) => typeof key === "string" && known(key)))];
+
+  if (data.masteryChanges != null && !isObject(data.masteryChanges)) errors.push("`masteryChanges` must be an object keyed by section key.");
+  else Object.entries(data.masteryChanges || {}).forEach(([key, change]) => {
+    if (!isObject(change) || typeof change.mastered !== "boolean" || typeof change.at !== "string") errors.push(`Mastery change for ${key} is invalid.`);
+    else if (known(key)) value.masteryChanges[key] = { mastered: change.mastered, at: change.at };
+  });
+
+  if (data.bestScore != null) {
+    if (Number.isFinite(data.bestScore) && data.bestScore >= 0 && data.bestScore <= 100) value.bestScore = data.bestScore;
+    else errors.push("`bestScore` must be a percentage between 0 and 100.");
+  }
+
+  if (data.quizAttempts != null && !Array.isArray(data.quizAttempts)) errors.push("`quizAttempts` must be a list.");
+  else (data.quizAttempts || []).forEach((attempt, i) => {
+    if (isObject(attempt) && typeof attempt.id === "string" && Number.isFinite(attempt.score) && Array.isArray(attempt.answers)) value.quizAttempts.push(attempt);
+    else errors.push(`Quiz attempt #${i + 1} is missing an id, score or answers.`);
+  });
+
+  if (data.decks != null && !Array.isArray(data.decks)) errors.push("`decks` must be a list.");
+  else (data.decks || []).slice(-MAX_DECKS * 2).forEach((deck, i) => {
+    const field = (text) => typeof text === "string" && text.length <= MAX_FIELD_LENGTH;
+    const cards = isObject(deck) && Array.isArray(deck.cards) ? deck.cards.filter((card) => isObject(card) && typeof card.id === "string" && field(card.front) && field(card.back)).slice(0, MAX_DECK_CARDS) : null;
+    if (!cards || typeof deck.id !== "string" || typeof deck.name !== "string" || typeof deck.importedAt !== "string") errors.push(`Flashcard deck #${i + 1} is missing an id, name or cards.`);
+    else value.decks.push({ id: deck.id, name: deck.name, importedAt: deck.importedAt, ...(deck.removed ? { removed: true } : {}), cards: deck.removed ? [] : cards.map((card) => ({ id: card.id, front: card.front, back: card.back, extra: field(card.extra) ? card.extra : "", tags: Array.isArray(card.tags) ? card.tags.filter((tag) => typeof tag === "string") : [] })) });
+  });
+  const deckKeys = new Set(value.decks.flatMap((deck) => deck.cards.map((card) => deckCardKey(deck.id, card.id))));
+
+  if (data.flashcards != null && !isObject(data.flashcards)) errors.push("`flashcards` must be an object keyed by section key.");
+  else Object.entries(data.flashcards || {}).forEach(([key, card]) => {
+    if (!isObject(card) || typeof card.due !== "string" || !Number.isFinite(card.interval) || !Number.isFinite(card.ease)) errors.push(`Flashcard ${key} has an invalid schedule.`);
+    else if (deckKeys.has(key) || known(key)) value.flashcards[key] = card;
+  });
+
+  if (data.checks != null && !isObject(data.checks)) errors.push("`checks` must be an object keyed by section key.");
+  else Object.entries(data.checks || {}).forEach(([key, check]) => {
+    if (!isObject(check) || !CHECK_RESULTS.includes(check.result) || typeof check.at !== "string") errors.push(`Knowledge check ${key} has an invalid result.`);
+    else if (known(key)) value.checks[key] = { ...check, answer: String(check.answer || "").slice(0, MAX_CHECK_ANSWER) };
+  });
+
+  if (data.plan != null) {
+    const { examDate, daysPerWeek, start, startRemaining } = isObject(data.plan) ? data.plan : {};
+    if (isDayKey(examDate) && isDayKey(start) && Number.isInteger(daysPerWeek) && daysPerWeek >= 1 && daysPerWeek <= 7 && Number.isInteger(startRemaining) && startRemaining >= 0) value.plan = data.plan;
+    else errors.push("`plan` must have an exam date, start date, study days per week (1-7) and a starting section count.");
+  }
+
+  if (data.activity != null && !isObject(data.activity)) errors.push("`activity` must be an object keyed by day.");
+  else Object.entries(data.activity || {}).sort(([a], [b]) => a.localeCompare(b)).slice(-MAX_ACTIVITY_DAYS).forEach(([day, entry]) => {
+    if (!isDayKey(day) || !isObject(entry) || !Array.isArray(entry.sections) || !Number.isInteger(entry.reviews)) errors.push(`Study activity for ${day} is invalid.`);
+    else value.activity[day] = { sections: entry.sections.filter((key) => typeof key === "string" && known(key)), reviews: Math.max(0, entry.reviews) };
+  });
+
+  const blocks = NOTE_BLOCKS.map(([block]) => block);
+  if (data.notes != null && !isObject(data.notes)) errors.push("`notes` must be an object keyed by section key.");
+  else Object.entries(data.notes || {}).forEach(([key, note]) => {
+    if (!isObject(note) || typeof note.updatedAt !== "string" || (note.text != null && typeof note.text !== "string") || (note.highlights != null && !Array.isArray(note.highlights))) return errors.push(`Notes for ${key} are invalid.`);
+    const highlights = (note.highlights || []).filter((h) => isObject(h) && blocks.includes(h.block) && Number.isInteger(h.start) && Number.isInteger(h.end) && h.end > h.start && typeof h.text === "string").slice(-MAX_HIGHLIGHTS);
+    const clean = { bookmarked: note.bookmarked === true, text: (note.text || "").slice(0, MAX_NOTE_LENGTH), highlights, updatedAt: note.updatedAt };
+    if (known(key)) value.notes[key] = clean;
+  });
+
+  const knownLessons = knownKeys && new Set([...knownKeys].map((key) => key.slice(0, key.lastIndexOf("-"))));
+  if (data.lessonQuizzes != null && !isObject(data.lessonQuizzes)) errors.push("`lessonQuizzes` must be an object keyed by lesson id.");
+  else Object.entries(data.lessonQuizzes || {}).forEach(([id, result]) => {
+    const percent = (n) => Number.isFinite(n) && n >= 0 && n <= 100;
+    if (!isObject(result) || !percent(result.best) || !percent(result.last) || !Number.isInteger(result.attempts) || typeof result.at !== "string") errors.push(`Lesson quiz result for ${id} is invalid.`);
+    else if (!knownLessons || knownLessons.has(id)) value.lessonQuizzes[id] = { best: result.best, last: result.last, attempts: result.attempts, at: result.at };
+  });
+
+  if (data.settings != null && !isObject(data.settings)) errors.push("`settings` must be an object.");
+  else value.settings = { ...data.settings };
+
+  return { value, errors, unknownKeys: [...unknownKeys].sort() };
+}
+
+// The latest explicit mark or un-mark of a section wins; sections never toggled since the change log
+// was added are unioned, so an older mark on another device cannot undo a newer un-mark.
+function mergeMastery(current, incoming) {
+  const changes = { ...current.masteryChanges };
+  Object.entries(incoming.masteryChanges || {}).forEach(([key, change]) => {
+    if (!changes[key] || change.at > changes[key].at) changes[key] = change;
+  });
+  const marked = Object.keys(changes).filter((key) => changes[key].mastered);
+  const mastered = [...new Set([...current.mastered, ...incoming.mastered, ...marked])].filter((key) => changes[key]?.mastered !== false).sort();
+  return { mastered, masteryChanges: changes };
+}
+
+export function mergeProgress(current, incoming) {
+  const attempts = new Map();
+  [...current.quizAttempts, ...incoming.quizAttempts].forEach((attempt) => { if (!attempts.has(attempt.id)) attempts.set(attempt.id, attempt); });
+  const flashcards = { ...current.flashcards };
+  Object.entries(incoming.flashcards).forEach(([key, card]) => {
+    const mine = flashcards[key];
+    if (!mine || (card.last || "") > (mine.last || "") || ((card.last || "") === (mine.last || "") && card.reps > mine.reps)) flashcards[key] = card;
+  });
+  const checks = { ...current.checks };
+  Object.entries(incoming.checks).forEach(([key, check]) => {
+    if (!checks[key] || check.at > checks[key].at) checks[key] = check;
+  });
+  const activity = { ...current.activity };
+  Object.entries(incoming.activity).forEach(([day, entry]) => {
+    const mine = activity[day];
+    activity[day] = mine ? { sections: [...new Set([...mine.sections, ...entry.sections])], reviews: Math.max(mine.reviews, entry.reviews) } : entry;
+  });
+  const notes = { ...current.notes };
+  Object.entries(incoming.notes).forEach(([key, note]) => {
+    if (!notes[key] || note.updatedAt > notes[key].updatedAt) notes[key] = note;
+  });
+  const decks = new Map();
+  [...current.decks, ...incoming.decks].forEach((deck) => { if (!decks.has(deck.id) || deck.importedAt > decks.get(deck.id).importedAt) decks.set(deck.id, deck); });
+  const lessonQuizzes = { ...current.lessonQuizzes };
+  Object.entries(incoming.lessonQuizzes).forEach(([id, result]) => {
+    const mine = lessonQuizzes[id];
+    lessonQuizzes[id] = !mine ? result : { best: Math.max(mine.best, result.best), last: result.at > mine.at ? result.last : mine.last, attempts: Math.max(mine.attempts, result.attempts), at: result.at > mine.at ? result.at : mine.at };
+  });
+  const plans = [current.plan, incoming.plan].filter(Boolean).sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  const settings = String(incoming.settings?.updatedAt || "") > String(current.settings?.updatedAt || "") ? incoming.settings : current.settings;
+  const scores = [current.bestScore, incoming.bestScore].filter((score) => score != null);
+  return {
+    version: PROGRESS_VERSION,
+    ...mergeMastery(current, incoming),
+    bestScore: scores.length ? Math.max(...scores) : null,
+    quizAttempts: [...attempts.values()].sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.id.localeCompare(b.id)).slice(-MAX_SAVED_ATTEMPTS),
+    flashcards,
+    checks,
+    plan: plans[0] || null,
+    activity: Object.fromEntries(Object.keys(activity).sort().slice(-MAX_ACTIVITY_DAYS).map((day) => [day, activity[day]])),
+    notes,
+    lessonQuizzes,
+    decks: [...decks.values()].sort((a, b) => a.importedAt.localeCompare(b.importedAt)),
+    settings: { ...settings },
+  };
+}
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// An integrity checksum against accidental damage only: anyone editing the file can recompute it.
+const checksumPayload = (file) => `${EXPORT_KIND}|${file.version}|${file.exportedAt}|${JSON.stringify(file.data)}`;
+
+export const savedNotes = (notes) => Object.fromEntries(Object.entries(notes).filter(([, note]) => !isEmptyNote(note)));
+
+// Emptied notes are kept as sync tombstones but left out of exported files.
+export async function createExport(data) {
+  const file = { kind: EXPORT_KIND, version: PROGRESS_VERSION, exportedAt: new Date().toISOString(), data: { ...data, notes: savedNotes(data.notes) } };
+  return { ...file, checksum: `sha256:${await sha256(checksumPayload(file))}` };
+}
+
+export async function readExport(text, knownKeys) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    return { errors: ["The file is not valid JSON."] };
+  }
+  if (!isObject(file) || file.kind !== EXPORT_KIND || !isObject(file.data)) return { errors: ["This is not a Security+ course progress export."] };
+  if (file.checksum !== `sha256:${await sha256(checksumPayload(file))}`) return { errors: ["The file checksum does not match its contents. It may be damaged or incomplete."] };
+  const migrated = migrateProgress({ ...file.data, version: file.data.version ?? file.version });
+  if (migrated.errors.length) return { errors: migrated.errors };
+  const { value, errors, unknownKeys } = validateProgress(migrated.data, knownKeys);
+  return { data: value, errors, unknownKeys, exportedAt: file.exportedAt };
+}
+
+export const MIN_SYNC_CODE_LENGTH = 12;
+const SYNC_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export function generateSyncCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  const chars = [...bytes].map((b) => SYNC_ALPHABET[b % SYNC_ALPHABET.length]).join("");
+  return chars.match(/.{4}/g).join("-");
+}
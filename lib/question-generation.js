@@ -0,0 +1,72 @@
+import { validateSchema } from "./json-schema.mjs";
+import questionSchema from "../content/schema/scenario-questions.schema.json";
+import { objectiveDomain, objectiveDomains } from "./objectives";
+
+export const GENERATED_CHOICES = 4;
+export const MAX_GENERATED = 5;
+const DUPLICATE_SIMILARITY = 0.8;
+
+export const questionText = (q) => String(q || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+const questionWords = (q) => new Set(questionText(q).split(" ").filter((word) => word.length > 2));
+
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((word) => { if (b.has(word)) shared += 1; });
+  return shared / (a.size + b.size - shared);
+}
+
+export function findDuplicate(q, texts) {
+  const text = questionText(q);
+  const words = questionWords(q);
+  return texts.find((other) => questionText(other) === text || similarity(words, questionWords(other)) >= DUPLICATE_SIMILARITY) ?? null;
+}
+
+export function validateQuestion(question, { lessonIds, domainIds, objectives }) {
+  const errors = validateSchema(questionSchema, [question]).map((error) => error.replace(/^\/0/, "") || "/");
+  if (errors.length) return errors;
+  if (question.answer >= question.choices.length) errors.push(`/answer: index ${question.answer} is out of range for ${question.choices.length} choices`);
+  const unknown = question.lessons.filter((id) => !lessonIds.has(id));
+  if (unknown.length) errors.push(`/lessons: unknown lesson id(s) ${unknown.join(", ")}`);
+  if (!domainIds.has(question.domain)) errors.push(`/domain: domain ${question.domain} is not a known exam domain`);
+  const unknownObjectives = question.objectives.filter((id) => !objectives.has(id));
+  if (unknownObjectives.length) errors.push(`/objectives: unknown objective(s) ${unknownObjectives.join(", ")}`);
+  else if (question.objectives.some((id) => objectives.get(id) !== question.domain)) errors.push(`/objectives: every objective must be in domain ${question.domain}`);
+  return errors;
+}
+
+export const reviewContext = (lessons, domains) => ({ lessonIds: new Set(lessons.map((lesson) => lesson.id)), domainIds: new Set(domains.map((d) => d.domain)), objectives: objectiveDomains(domains) });
+
+// The model picks one of the section's objectives; the question's domain follows from it.
+export function parseGeneratedQuestions(text, { lesson, section, domains }) {
+  const match = String(text).match(/\[[\s\S]*\]/);
+  let items;
+  try {
+    items = JSON.parse(match?.[0] || "");
+  } catch {
+    return { candidates: [], errors: ["The model did not return a JSON array of questions."] };
+  }
+  if (!Array.isArray(items)) return { candidates: [], errors: ["The model did not return a JSON array of questions."] };
+  const context = reviewContext([lesson], domains);
+  const candidates = [];
+  const errors = [];
+  items.slice(0, MAX_GENERATED).forEach((item, i) => {
+    const objective = section.objectives.includes(String(item?.objective)) ? String(item.objective) : section.objectives[0];
+    const question = {
+      id: "sq-000",
+      q: String(item?.q || "").trim(),
+      choices: Array.isArray(item?.choices) ? item.choices.map((choice) => String(choice).trim()) : [],
+      answer: Number(item?.answer),
+      why: String(item?.why || "").trim(),
+      lessons: [lesson.id],
+      chapter: lesson.chapter,
+      domain: objectiveDomain(objective),
+      objectives: [objective],
+    };
+    const problems = validateQuestion(question, context);
+    if (question.choices.length !== GENERATED_CHOICES) problems.push(`/choices: expected ${GENERATED_CHOICES} choices, got ${question.choices.length}`);
+    if (problems.length) errors.push(`Question ${i + 1}: ${problems.join("; ")}`);
+    else candidates.push(question);
+  });
+  return { candidates, errors };
+}
@@ -0,0 +1,95 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { createHash, randomUUID, timingSafeEqual } from "node:crypto";
+import { withLock } from "./progress-store";
+import { findDuplicate, questionText, validateQuestion } from "./question-generation";
+
+const MAX_REJECTED = 500;
+const bankFile = () => path.join(process.cwd(), "content", "scenario-questions.json");
+const queueFile = () => process.env.QUESTION_REVIEW_FILE || path.join(process.cwd(), ".data", "question-review.json");
+
+export const REVIEW_TOKEN_HEADER = "x-review-token";
+
+export function reviewEnabled() {
+  const setting = process.env.QUESTION_REVIEW;
+  return setting === "on" || (setting !== "off" && process.env.NODE_ENV !== "production");
+}
+
+const digest = (text) => createHash("sha256").update(text).digest();
+
+// Both endpoints spend model tokens and rewrite the question bank, so an enabled queue always needs the
+// maintainer's QUESTION_REVIEW_TOKEN. Returns null when the request may proceed.
+export function reviewAccess(request) {
+  if (!reviewEnabled()) return { status: 403, error: "The question review queue is turned off. Set QUESTION_REVIEW=on to use it." };
+  const token = process.env.QUESTION_REVIEW_TOKEN || "";
+  if (!token) return { status: 503, error: "Set QUESTION_REVIEW_TOKEN on the server to use the question review queue." };
+  const given = String(request.headers.get(REVIEW_TOKEN_HEADER) || "");
+  if (!given || !timingSafeEqual(digest(given), digest(token))) return { status: 401, error: "Enter the maintainer review token to use the question review queue." };
+  return null;
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+async function writeJson(file, value, spacing) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(value, null, spacing));
+  await fs.rename(temp, file);
+}
+
+export const readQueue = () => readJson(queueFile(), { version: 1, pending: [], rejected: [] });
+export const readBank = () => readJson(bankFile(), []);
+
+export function enqueueQuestions(candidates, source) {
+  return withLock("question-review", async () => {
+    const [queue, bank] = await Promise.all([readQueue(), readBank()]);
+    const seen = [...bank.map((q) => q.q), ...queue.pending.map((item) => item.question.q), ...queue.rejected];
+    const added = [];
+    const duplicates = [];
+    candidates.forEach(({ id, ...question }) => {
+      const duplicate = findDuplicate(question.q, seen);
+      if (duplicate) return duplicates.push({ q: question.q, duplicateOf: duplicate });
+      seen.push(question.q);
+      added.push({ reviewId: randomUUID(), question, source, createdAt: new Date().toISOString() });
+    });
+    if (added.length) await writeJson(queueFile(), { ...queue, pending: [...queue.pending, ...added] });
+    return { added, duplicates };
+  });
+}
+
+const nextId = (bank) => `sq-${String(Math.max(0, ...bank.map((q) => Number(q.id.slice(3)) || 0)) + 1).padStart(3, "0")}`;
+
+export function approveQuestion(reviewId, edited, context) {
+  return withLock("question-review", async () => {
+    const [queue, bank] = await Promise.all([readQueue(), readBank()]);
+    const item = queue.pending.find((entry) => entry.reviewId === reviewId);
+    if (!item) return { status: 404, errors: ["This question is no longer in the review queue."] };
+    const { id, ...fields } = { ...item.question, ...edited };
+    const question = { id: nextId(bank), ...fields };
+    const errors = validateQuestion(question, context);
+    const duplicate = findDuplicate(question.q, bank.map((q) => q.q));
+    if (duplicate) errors.push(`/q: too similar to an existing question: "${duplicate}"`);
+    if (errors.length) return { status: 422, errors };
+    await writeJson(bankFile(), [...bank, question], 2);
+    await writeJson(queueFile(), { ...queue, pending: queue.pending.filter((entry) => entry !== item) });
+    return { status: 200, question };
+  });
+}
+
+export function rejectQuestion(reviewId) {
+  return withLock("question-review", async () => {
+    const queue = await readQueue();
+    const item = queue.pending.find((entry) => entry.reviewId === reviewId);
+    if (!item) return { status: 404, errors: ["This question is no longer in the review queue."] };
+    const rejected = [...queue.rejected.filter((q) => questionText(q) !== questionText(item.question.q)), item.question.q].slice(-MAX_REJECTED);
+    await writeJson(queueFile(), { ...queue, pending: queue.pending.filter((entry) => entry !== item), rejected });
+    return { status: 200 };
+  });
+}
@@ -0,0 +1,55 @@
+import { QUIZ_LENGTH, filterQuestions, hashText, questionType, seededShuffle } from "./quiz";
+
+export const SHARE_PREFIX = "SQ1.";
+export const MAX_SEED_LENGTH = 32;
+
+export const newSeed = () => Math.random().toString(36).slice(2, 8);
+
+export function quizSpec({ seed, n, lessons = [], chapters = [] }) {
+  return { seed: String(seed).trim().slice(0, MAX_SEED_LENGTH) || newSeed(), n: Math.max(1, Math.floor(Number(n)) || QUIZ_LENGTH), lessons, chapters };
+}
+
+export const specPool = (bank, { lessons, chapters }) => lessons.length || chapters.length ? filterQuestions(bank, { lessons, chapters }) : bank;
+export const seededQuestions = (bank, spec) => seededShuffle(specPool(bank, spec), spec.seed).slice(0, spec.n);
+
+export function quizLink(spec) {
+  const params = new URLSearchParams();
+  if (spec.lessons.length) params.set("lesson", spec.lessons.join(","));
+  if (spec.chapters.length) params.set("chapter", spec.chapters.join(","));
+  params.set("seed", spec.seed);
+  params.set("n", spec.n);
+  return `/quiz?${params}`;
+}
+
+export const sameQuiz = (a, b) => quizLink(a) === quizLink(b);
+
+const checksum = (questions) => (hashText(questions.map((q) => q.id).join(",")) >>> 0).toString(36);
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const fromBase64Url = (text) => new TextDecoder().decode(Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (ch) => ch.charCodeAt(0)));
+
+const validResponse = (q, response) => response == null || (questionType(q) === "single" ? Number.isInteger(response) : Array.isArray(response) && response.every((pick) => pick == null || Number.isInteger(pick)));
+export const runResponses = (answers) => answers.map((answer) => ("choice" in answer ? answer.choice : answer.response) ?? null);
+
+// The code carries the quiz spec and the raw responses only; questions are rebuilt from the seed, and the
+// checksum of their ids catches a question bank that has changed since the code was made.
+export function shareCode(spec, questions, responses) {
+  return SHARE_PREFIX + toBase64Url(JSON.stringify([spec.seed, spec.n, spec.lessons.join(","), spec.chapters.join(","), checksum(questions), responses]));
+}
+
+export function readShareCode(text, bank) {
+  const code = text.replace(/\s+/g, "");
+  if (!code.startsWith(SHARE_PREFIX)) return { error: `A share code starts with “${SHARE_PREFIX}”.` };
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(code.slice(SHARE_PREFIX.length)));
+  } catch {
+    return { error: "The share code is damaged or incomplete." };
+  }
+  if (!Array.isArray(data) || data.length !== 6 || typeof data[0] !== "string" || typeof data[2] !== "string" || typeof data[3] !== "string" || !Array.isArray(data[5])) return { error: "The share code is damaged or incomplete." };
+  const [seed, n, lessons, chapters, sum, responses] = data;
+  const spec = quizSpec({ seed, n, lessons: lessons ? lessons.split(",") : [], chapters: chapters ? chapters.split(",").map(Number) : [] });
+  const questions = seededQuestions(bank, spec);
+  if (checksum(questions) !== sum || responses.length !== questions.length) return { spec, error: "This code was made with a different version of the question bank, so its questions no longer line up." };
+  if (!questions.every((q, i) => validResponse(q, responses[i]))) return { error: "The share code is damaged or incomplete." };
+  return { spec, questions, responses };
+}
@@ -0,0 +1,137 @@
+export const QUIZ_LENGTH = 20;
+export const EXAM_DEFAULTS = { count: 90, minutes: 90 };
+export const PASSING_SCORE = 750;
+export const MAX_SAVED_ATTEMPTS = 200;
+
+export const hashText = (text) => [...text].reduce((h, ch) => Math.imul(h ^ ch.charCodeAt(0), 16777619), 2166136261);
+
+// mulberry32 seeded from an FNV-1a hash of the seed text: the same seed always yields the same sequence.
+export function seededRandom(seed) {
+  let state = hashText(String(seed)) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function shuffle(list, random = Math.random) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+export const seededShuffle = (list, seed) => shuffle(list, seededRandom(seed));
+
+export function scaledScore(correct, total) {
+  if (!total) return 100;
+  return Math.round(100 + 800 * (correct / total));
+}
+
+export function formatClock(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const pad = (n) => String(n).padStart(2, "0");
+  const h = Math.floor(s / 3600);
+  return `${h ? `${h}:` : ""}${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`;
+}
+
+export function filterQuestions(bank, { lessons = [], chapters = [] } = {}) {
+  if (!lessons.length && !chapters.length) return bank;
+  return bank.filter((q) => q.lessons?.some((id) => lessons.includes(id)) || chapters.includes(q.chapter));
+}
+
+export function questionStats(attempts) {
+  const stats = new Map();
+  attempts.forEach((attempt) => attempt.answers.forEach((answer) => {
+    const current = stats.get(answer.id) || { id: answer.id, seen: 0, correct: 0, missed: 0, lastCorrect: null };
+    current.seen += 1;
+    if (answer.correct) current.correct += 1;
+    else current.missed += 1;
+    current.lastCorrect = answer.correct;
+    stats.set(answer.id, current);
+  }));
+  return [...stats.values()];
+}
+
+export function missedQuestionIds(attempts) {
+  return questionStats(attempts).filter((stat) => stat.lastCorrect === false).map((stat) => stat.id);
+}
+
+export const QUESTION_TYPES = { single: "Multiple choice", multi: "Multiple select", match: "Matching", order: "Ordering", table: "Table completion" };
+export const questionType = (q) => q.type || "single";
+export const tableBlanks = (q) => q.rows.flatMap((row, r) => row.map((cell, c) => ({ cell, r, c })).filter(({ cell }) => typeof cell === "object"));
+
+function scrambled(length, seed) {
+  const order = Array.from({ length }, (_, i) => i).sort((a, b) => hashText(`${seed}:${a}`) - hashText(`${seed}:${b}`));
+  return order.every((step, i) => step === i) ? [...order.slice(1), order[0]] : order;
+}
+
+export function initialResponse(q) {
+  const type = questionType(q);
+  if (type === "multi") return [];
+  if (type === "match") return q.pairs.map(() => null);
+  if (type === "order") return scrambled(q.steps.length, q.id);
+  if (type === "table") return tableBlanks(q).map(() => null);
+  return null;
+}
+
+export function isComplete(q, response) {
+  if (response == null) return false;
+  const type = questionType(q);
+  if (type === "multi") return response.length === q.answer.length;
+  if (type === "match" || type === "table") return response.every((pick) => pick != null);
+  return true;
+}
+
+export function gradeResponse(q, response) {
+  const type = questionType(q);
+  const picked = response ?? initialResponse(q);
+  let items;
+  let credit;
+  if (type === "multi") {
+    items = q.choices.map((_, i) => picked.includes(i) === q.answer.includes(i));
+    const extra = Math.max(0, picked.length - q.answer.length);
+    credit = Math.max(0, q.answer.filter((i) => picked.includes(i)).length - extra) / q.answer.length;
+  } else if (type === "match") {
+    items = q.pairs.map((pair, i) => picked[i] === q.options.indexOf(pair.match));
+  } else if (type === "order") {
+    items = picked.map((step, position) => response != null && step === position);
+  } else if (type === "table") {
+    items = tableBlanks(q).map(({ cell }, i) => picked[i] === cell.answer);
+  } else {
+    items = [picked === q.answer];
+  }
+  credit ??= items.filter(Boolean).length / items.length;
+  return { credit: Math.round(credit * 100) / 100, items };
+}
+
+export function answerRecord(q, response, grade = gradeResponse(q, response)) {
+  if (questionType(q) === "single") return { id: q.id, choice: response ?? null, correct: grade.credit === 1 };
+  return { id: q.id, response: response ?? null, credit: grade.credit, correct: grade.credit === 1 };
+}
+
+export function answerSummary(q) {
+  const type = questionType(q);
+  if (type === "multi") return q.answer.map((i) => q.choices[i]).join(" + ");
+  if (type === "match") return q.pairs.map((pair) => `${pair.item} → ${pair.match}`).join("; ");
+  if (type === "order") return q.steps.map((step) => step.text).join(" → ");
+  if (type === "table") return tableBlanks(q).map(({ cell, r, c }) => `${q.columns[c]} ${r + 1}: ${cell.options[cell.answer]}`).join("; ");
+  return q.choices[q.answer];
+}
+
+export function responseSummary(q, response) {
+  const type = questionType(q);
+  if (response == null) return "No answer";
+  if (type === "multi") return response.length ? response.map((i) => q.choices[i]).join(" + ") : "No answer";
+  if (type === "match") return q.pairs.map((pair, i) => `${pair.item} → ${q.options[response[i]] ?? "?"}`).join("; ");
+  if (type === "order") return response.map((step) => q.steps[step]?.text).join(" → ");
+  if (type === "table") return tableBlanks(q).map(({ cell, r, c }, i) => `${q.columns[c]} ${r + 1}: ${cell.options[response[i]] ?? "?"}`).join("; ");
+  return q.choices[response] ?? "No answer";
+}
+
+export const formatCredit = (value) => String(Math.round(value * 100) / 100);
@@ -0,0 +1,181 @@
+import { promises as fs } from "node:fs";
+import net from "node:net";
+import path from "node:path";
+import { createHash } from "node:crypto";
+
+function memoryStore() {
+  const counters = globalThis.__splusRateCounters || new Map();
+  globalThis.__splusRateCounters = counters;
+  const live = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.expiresAt <= Date.now()) counters.delete(key);
+    return counters.get(key);
+  };
+  return {
+    get: async (key) => live(key)?.value || 0,
+    async incr(key, amount, ttlMs) {
+      const entry = live(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+      entry.value += amount;
+      counters.set(key, entry);
+      return entry.value;
+    },
+  };
+}
+
+const LOCK_STALE_MS = 10_000;
+
+// Serializes a task per key within this process and, through an exclusive lock file, across processes sharing `dir`.
+async function withFileLock(lockPath, task) {
+  const locks = globalThis.__splusRateFileLocks || new Map();
+  globalThis.__splusRateFileLocks = locks;
+  const previous = locks.get(lockPath) || Promise.resolve();
+  const run = previous.then(async () => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await (await fs.open(lockPath, "wx")).close();
+        break;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+        const stat = await fs.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) await fs.rm(lockPath, { force: true });
+        else if (attempt >= 200) throw new Error("Timed out waiting for the rate-limit file lock");
+        else await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    }
+    try {
+      return await task();
+    } finally {
+      await fs.rm(lockPath, { force: true });
+    }
+  });
+  const settled = run.catch(() => {});
+  locks.set(lockPath, settled);
+  settled.then(() => { if (locks.get(lockPath) === settled) locks.delete(lockPath); });
+  return run;
+}
+
+function fileStore(dir = process.env.RATE_LIMIT_STORE_DIR || path.join(process.cwd(), ".data", "rate-limit")) {
+  const file = (key) => path.join(dir, `${createHash("sha256").update(key).digest("hex")}.json`);
+  async function read(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(file(key), "utf8"));
+      return entry.expiresAt > Date.now() ? entry : null;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+  return {
+    get: async (key) => (await read(key))?.value || 0,
+    async incr(key, amount, ttlMs) {
+      await fs.mkdir(dir, { recursive: true });
+      return withFileLock(`${file(key)}.lock`, async () => {
+        const entry = (await read(key)) || { value: 0, expiresAt: Date.now() + ttlMs };
+        entry.value += amount;
+        const temp = `${file(key)}.${process.pid}.tmp`;
+        await fs.writeFile(temp, JSON.stringify(entry));
+        await fs.rename(temp, file(key));
+        return entry.value;
+      });
+    },
+  };
+}
+
+function encodeCommand(args) {
+  return `*${args.length}\r\n${args.map((arg) => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join("")}`;
+}
+
+function parseReply(buffer, offset = 0) {
+  const end = buffer.indexOf("\r\n", offset);
+  if (end < 0) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, end);
+  if (type === "+") return [line, end + 2];
+  if (type === "-") return [new Error(line), end + 2];
+  if (type === ":") return [Number(line), end + 2];
+  if (type === "$") {
+    const length = Number(line);
+    if (length < 0) return [null, end + 2];
+    if (buffer.length < end + 2 + length + 2) return null;
+    return [buffer.toString("utf8", end + 2, end + 2 + length), end + 2 + length + 2];
+  }
+  if (type === "*") {
+    const items = [];
+    let cursor = end + 2;
+    for (let i = 0; i < Number(line); i++) {
+      const parsed = parseReply(buffer, cursor);
+      if (!parsed) return null;
+      items.push(parsed[0]);
+      cursor = parsed[1];
+    }
+    return [items, cursor];
+  }
+  throw new Error(`Unexpected Redis reply type "${type}"`);
+}
+
+function redisConnection(url) {
+  const target = new URL(url);
+  const socket = net.createConnection(Number(target.port || 6379), target.hostname);
+  const pending = [];
+  let buffer = Buffer.alloc(0);
+  const fail = (error) => {
+    while (pending.length) pending.shift().reject(error);
+    socket.destroy();
+  };
+  // The timeout only runs while replies are outstanding, so an idle shared connection stays open.
+  const timeoutMs = Number(process.env.REDIS_TIMEOUT_MS || 2000);
+  socket.on("timeout", () => fail(new Error("Redis connection timed out")));
+  socket.on("error", fail);
+  socket.on("close", () => fail(new Error("Redis connection closed")));
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let parsed;
+    while (pending.length && (parsed = parseReply(buffer))) {
+      buffer = buffer.subarray(parsed[1]);
+      const { resolve, reject } = pending.shift();
+      parsed[0] instanceof Error ? reject(parsed[0]) : resolve(parsed[0]);
+    }
+    if (!pending.length) socket.setTimeout(0);
+  });
+  const send = (...args) => new Promise((resolve, reject) => {
+    if (!pending.length) socket.setTimeout(timeoutMs);
+    pending.push({ resolve, reject });
+    socket.write(encodeCommand(args));
+  });
+  const ready = (async () => {
+    if (target.password) await send("AUTH", ...(target.username ? [decodeURIComponent(target.username)] : []), decodeURIComponent(target.password));
+    if (target.pathname.length > 1) await send("SELECT", target.pathname.slice(1));
+  })();
+  return { socket, send: async (...args) => { await ready; return send(...args); } };
+}
+
+function redisStore(url = process.env.REDIS_URL) {
+  if (!url) throw new Error("RATE_LIMIT_STORE=redis requires REDIS_URL, for example redis://localhost:6379.");
+  const connection = () => {
+    const current = globalThis.__splusRedis;
+    if (current && !current.socket.destroyed) return current;
+    globalThis.__splusRedis = redisConnection(url);
+    return globalThis.__splusRedis;
+  };
+  const prefix = process.env.RATE_LIMIT_PREFIX || "splus:rl:";
+  return {
+    get: async (key) => Number(await connection().send("GET", prefix + key)) || 0,
+    async incr(key, amount, ttlMs) {
+      const { send } = connection();
+      const [value] = await Promise.all([send("INCRBY", prefix + key, Math.round(amount)), send("PEXPIRE", prefix + key, ttlMs)]);
+      return value;
+    },
+  };
+}
+
+const factories = new Map([["memory", memoryStore], ["file", fileStore], ["redis", redisStore]]);
+
+export function registerRateLimitStore(name, factory) {
+  factories.set(name, factory);
+}
+
+export function getRateLimitStore(name = process.env.RATE_LIMIT_STORE || "memory") {
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${[...factories.keys()].join(", ")}.`);
+  return factory();
+}
@@ -1,15 +1,94 @@
-const buckets = globalThis.__splusTutorBuckets || new Map();
-globalThis.__splusTutorBuckets = buckets;
-
-export function checkBasicDailyLimit(key, limit = 25) {
-  const now = Date.now();
-  const day = 24 * 60 * 60 * 1000;
-  const current = buckets.get(key);
-  if (!current || now - current.startedAt > day) {
-    buckets.set(key, { startedAt: now, count: 1 });
-    return { allowed: true, remaining: Math.max(0, limit - 1) };
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { getRateLimitStore } from "./rate-limit-store";
+
+export const MINUTE = 60 * 1000;
+export const DAY = 24 * 60 * MINUTE;
+const SESSION_COOKIE = "splus_session";
+
+const bucketTtl = (bucket, windowMs, now) => (bucket + 2) * windowMs - now;
+
+// Sliding-window counter: usage is the current fixed window plus the previous window weighted by how much
+// of it still overlaps the sliding window. Two counters per key keep it cheap on any key/value store.
+// A consuming dimension is counted up front with the store's atomic `incr`, so `current` is the count
+// before this request and concurrent requests each see the others' counts.
+async function windowUsage(store, { key, windowMs, consume }, now) {
+  const bucket = Math.floor(now / windowMs);
+  const [counted, previous] = await Promise.all([consume ? store.incr(`${key}:${bucket}`, 1, bucketTtl(bucket, windowMs, now)) : store.get(`${key}:${bucket}`), store.get(`${key}:${bucket - 1}`)]);
+  const current = consume ? counted - 1 : counted;
+  const elapsed = now - bucket * windowMs;
+  return { bucket, current, previous, elapsed, used: current + previous * (1 - elapsed / windowMs) };
+}
+
+function waitFor({ current, previous, elapsed }, limit, windowMs) {
+  if (current + 1 > limit) return windowMs - elapsed + Math.max(0, windowMs * (1 - (limit - 1) / current));
+  if (!previous) return 0;
+  return Math.max(0, windowMs * (1 - (limit - current - 1) / previous) - elapsed);
+}
+
+export async function checkRateLimits(dimensions, { store = getRateLimitStore(), now = Date.now() } = {}) {
+  const usage = await Promise.all(dimensions.map((dimension) => windowUsage(store, dimension, now)));
+  const allowed = usage.every((u, i) => u.used + 1 <= dimensions[i].limit);
+  if (!allowed) {
+    await Promise.all(dimensions.map((dimension, i) => dimension.consume && store.incr(`${dimension.key}:${usage[i].bucket}`, -1, bucketTtl(usage[i].bucket, dimension.windowMs, now))));
   }
-  if (current.count >= limit) return { allowed: false, remaining: 0 };
-  current.count += 1;
-  return { allowed: true, remaining: Math.max(0, limit - current.count) };
+  const results = dimensions.map((dimension, i) => {
+    const u = usage[i];
+    const used = u.used + (allowed && dimension.consume ? 1 : 0);
+    const blocked = u.used + 1 > dimension.limit;
+    return {
+      name: dimension.name,
+      unit: dimension.unit || "requests",
+      limit: dimension.limit,
+      windowMs: dimension.windowMs,
+      remaining: Math.max(0, Math.floor(dimension.limit - used)),
+      blocked,
+      resetMs: Math.ceil(blocked ? waitFor(u, dimension.limit, dimension.windowMs) : dimension.windowMs - u.elapsed),
+    };
+  });
+  const blocked = results.filter((result) => result.blocked);
+  const limiting = blocked.length
+    ? blocked.reduce((a, b) => (b.resetMs > a.resetMs ? b : a))
+    : results.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a), results[0]);
+  return { allowed, dimensions: results, limiting, retryAfterMs: blocked.length ? limiting.resetMs : 0, now };
+}
+
+export async function recordUsage(dimension, amount, { store = getRateLimitStore(), now = Date.now() } = {}) {
+  if (!(amount > 0)) return;
+  const bucket = Math.floor(now / dimension.windowMs);
+  await store.incr(`${dimension.key}:${bucket}`, amount, bucketTtl(bucket, dimension.windowMs, now));
+}
+
+export function rateLimitHeaders({ allowed, dimensions, limiting, retryAfterMs }) {
+  if (!limiting) return {};
+  const headers = {
+    "RateLimit-Policy": dimensions.map((d) => `${d.limit};w=${Math.round(d.windowMs / 1000)};name="${d.name}"`).join(", "),
+    "RateLimit-Limit": String(limiting.limit),
+    "RateLimit-Remaining": String(limiting.remaining),
+    "RateLimit-Reset": String(Math.ceil(limiting.resetMs / 1000)),
+  };
+  if (!allowed) headers["Retry-After"] = String(Math.ceil(retryAfterMs / 1000));
+  return headers;
+}
+
+export function clientIp(request) {
+  const hops = Number(process.env.TRUSTED_PROXY_HOPS ?? 1);
+  const forwarded = (request.headers.get("x-forwarded-for") || "").split(",").map((part) => part.trim()).filter(Boolean);
+  if (hops > 0 && forwarded.length) return forwarded[Math.max(0, forwarded.length - hops)];
+  return request.headers.get("x-real-ip") || "unknown";
+}
+
+function sessionSecret() {
+  globalThis.__splusSessionSecret ||= process.env.RATE_LIMIT_SECRET || randomBytes(32).toString("hex");
+  return globalThis.__splusSessionSecret;
+}
+
+const signSession = (id) => createHmac("sha256", sessionSecret()).update(id).digest("base64url");
+
+export function rateLimitSession(request) {
+  const value = (request.headers.get("cookie") || "").split(/;\s*/).find((part) => part.startsWith(`${SESSION_COOKIE}=`))?.slice(SESSION_COOKIE.length + 1) || "";
+  const [id, signature = ""] = value.split(".");
+  const expected = id ? signSession(id) : "";
+  if (id && signature.length === expected.length && timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return { id, cookie: null };
+  const fresh = randomUUID();
+  return { id: fresh, cookie: `${SESSION_COOKIE}=${fresh}.${signSession(fresh)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${365 * 24 * 60 * 60}${process.env.NODE_ENV === "production" ? "; Secure" : ""}` };
 }
@@ -0,0 +1,38 @@
+import { lessons } from "@/content";
+import { FIELD_LABELS, SEARCH_FIELDS, buildSearchIndex, searchIndex } from "./search";
+
+export const DEFAULT_RETRIEVAL_TOKENS = 3000;
+const MAX_SOURCES = 5;
+const MIN_SOURCE_TOKENS = 120;
+const MIN_RELATIVE_SCORE = 0.25;
+
+export const estimateTokens = (text) => Math.ceil(String(text).length / 4);
+
+let index = null;
+
+function courseIndex() {
+  index ||= buildSearchIndex(lessons);
+  return index;
+}
+
+function sourceText(doc, n) {
+  const body = SEARCH_FIELDS.slice(1).map((field, i) => doc.text[i + 1] && `${FIELD_LABELS[field]}: ${doc.text[i + 1]}`).filter(Boolean).join("\n");
+  return `[${n}] ${doc.title} (${doc.subtitle})\n${body}`;
+}
+
+export function retrieveSections(query, { exclude, tokenBudget = DEFAULT_RETRIEVAL_TOKENS } = {}) {
+  const results = searchIndex(courseIndex(), query, { limit: MAX_SOURCES * 3 })
+    .filter(({ doc }) => doc.sectionNumber && !(doc.lessonId === exclude?.lessonId && doc.sectionNumber === exclude?.sectionNumber));
+  const top = results[0]?.score || 0;
+  const sources = [];
+  let used = 0;
+  for (const { doc, score } of results) {
+    const left = tokenBudget - used;
+    if (sources.length >= MAX_SOURCES || left < MIN_SOURCE_TOKENS || score < top * MIN_RELATIVE_SCORE) break;
+    let text = sourceText(doc, sources.length + 1);
+    if (estimateTokens(text) > left) text = `${text.slice(0, left * 4 - 1)}…`;
+    used += estimateTokens(text);
+    sources.push({ n: sources.length + 1, lessonId: doc.lessonId, sectionNumber: doc.sectionNumber, title: doc.title, lesson: doc.subtitle, text });
+  }
+  return sources;
+}
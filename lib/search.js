@@ -0,0 +1,177 @@
+export const SEARCH_FIELDS = ["title", "defs", "breakdown", "learn", "exam", "example", "why"];
+export const FIELD_LABELS = { title: "Title", defs: "Key terms", breakdown: "Break it down", learn: "Learn this", exam: "Exam focus", example: "Example", why: "Why it matters" };
+const FIELD_WEIGHTS = [3, 2, 1.4, 1.2, 1, 0.8, 0.8];
+const K1 = 1.2;
+const B = 0.75;
+const WORD = /[a-z0-9]+/g;
+const STOPWORDS = new Set("a an and are as at be been but by can do does for from has have how in into is it its may not of on or so than that the their then there these they this those to was were what when where which while who why will with you your".split(" "));
+const SUFFIXES = [["ational", "ate"], ["ization", "ize"], ["ation", "ate"], ["ments", ""], ["ment", ""], ["ness", ""], ["ings", ""], ["ing", ""], ["ity", ""], ["edly", ""], ["ed", ""], ["ly", ""]];
+
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+  if (w.endsWith("ies")) w = `${w.slice(0, -3)}y`;
+  else if (/(ss|sh|ch|x|z)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  const rule = SUFFIXES.find(([suffix]) => w.endsWith(suffix) && w.length - suffix.length >= 3);
+  if (rule) w = w.slice(0, -rule[0].length) + rule[1];
+  else if (/[st]ion$/.test(w) && w.length > 6) w = w.slice(0, -3);
+  if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+  if (w.endsWith("e") && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+export function tokenize(text) {
+  return (String(text || "").toLowerCase().match(WORD) || []).filter((word) => !STOPWORDS.has(word)).map(stem);
+}
+
+function sectionFields(section) {
+  const c = section.course || {};
+  const defs = (c.defs?.length ? c.defs : section.defs || []).map((d) => `${d.term} — ${d.definition}`);
+  return {
+    title: section.title,
+    defs: defs.join("\n"),
+    breakdown: (c.breakdown || []).map((item) => `${item.term}: ${item.explanation}`).join("\n"),
+    learn: c.learn || section.teach || "",
+    exam: c.exam || "",
+    example: c.example || "",
+    why: c.why || "",
+  };
+}
+
+export function buildSearchIndex(lessons) {
+  const docs = lessons.flatMap((lesson) => [
+    { lessonId: lesson.id, sectionNumber: null, chapter: lesson.chapter, title: `${lesson.id} ${lesson.title}`, subtitle: lesson.chapter_name, fields: { title: `${lesson.id} ${lesson.title}` } },
+    ...lesson.slides.map((section) => ({ lessonId: lesson.id, sectionNumber: section.n, chapter: lesson.chapter, title: section.title, subtitle: `${lesson.id} · ${lesson.title}`, fields: sectionFields(section) })),
+  ]);
+  const terms = {};
+  const totals = SEARCH_FIELDS.map(() => 0);
+  const indexed = docs.map((doc, d) => {
+    const text = SEARCH_FIELDS.map((field) => doc.fields[field] || "");
+    const len = text.map((value, f) => {
+      const tokens = tokenize(value);
+      const counts = new Map();
+      tokens.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+      counts.forEach((tf, token) => (terms[token] ||= []).push(d, f, tf));
+      totals[f] += tokens.length;
+      return tokens.length;
+    });
+    return { lessonId: doc.lessonId, sectionNumber: doc.sectionNumber, chapter: doc.chapter, title: doc.title, subtitle: doc.subtitle, text, len };
+  });
+  return { version: 1, docs: indexed, avgLen: totals.map((total) => total / docs.length || 1), terms };
+}
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function expand(index, token, isLast) {
+  const matches = new Map();
+  if (index.terms[token]) matches.set(token, 1);
+  if (isLast && token.length >= 3) {
+    Object.keys(index.terms).forEach((term) => { if (term !== token && term.startsWith(token)) matches.set(term, 0.7); });
+  }
+  if (!matches.size) {
+    const max = token.length >= 6 ? 2 : token.length >= 4 ? 1 : 0;
+    if (max) Object.keys(index.terms).forEach((term) => { if (editDistance(token, term, max) <= max) matches.set(term, 0.6); });
+  }
+  return matches;
+}
+
+export function searchIndex(index, query, { chapters = [], limit = 20 } = {}) {
+  const tokens = [...new Set(tokenize(query))];
+  if (!tokens.length) return [];
+  const n = index.docs.length;
+  const scores = new Map();
+  tokens.forEach((token, t) => {
+    expand(index, token, t === tokens.length - 1).forEach((weight, term) => {
+      const postings = index.terms[term];
+      const docsWithTerm = new Set();
+      for (let i = 0; i < postings.length; i += 3) docsWithTerm.add(postings[i]);
+      const idf = Math.log(1 + (n - docsWithTerm.size + 0.5) / (docsWithTerm.size + 0.5));
+      for (let i = 0; i < postings.length; i += 3) {
+        const [d, f, tf] = [postings[i], postings[i + 1], postings[i + 2]];
+        const norm = tf / (tf + K1 * (1 - B + B * index.docs[d].len[f] / index.avgLen[f]));
+        const value = weight * idf * FIELD_WEIGHTS[f] * norm;
+        const entry = scores.get(d) || { score: 0, fields: new Map(), matched: new Set(), terms: new Set() };
+        entry.score += value;
+        entry.fields.set(f, (entry.fields.get(f) || 0) + value);
+        entry.matched.add(t);
+        entry.terms.add(term);
+        scores.set(d, entry);
+      }
+    });
+  });
+  return [...scores.entries()]
+    .filter(([d]) => !chapters.length || chapters.includes(index.docs[d].chapter))
+    .map(([d, entry]) => {
+      const doc = index.docs[d];
+      const ranked = [...entry.fields.entries()].sort((a, b) => b[1] - a[1]).map(([f]) => f);
+      const field = ranked.find((f) => f !== 0) ?? 0;
+      const coverage = entry.matched.size / tokens.length;
+      return { doc, score: entry.score * coverage * coverage, field: SEARCH_FIELDS[field], title: highlight(doc.title, entry.terms, Infinity), snippet: highlight(doc.text[field], entry.terms) };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+export function highlight(text, terms, width = 180) {
+  const words = [];
+  let match;
+  WORD.lastIndex = 0;
+  const lower = String(text || "").toLowerCase();
+  while ((match = WORD.exec(lower))) {
+    if (terms.has(stem(match[0]))) words.push([match.index, match.index + match[0].length]);
+  }
+  let start = 0;
+  let end = text.length;
+  if (text.length > width) {
+    start = Math.max(0, (words[0]?.[0] ?? 0) - Math.floor(width / 3));
+    end = Math.min(text.length, start + width);
+    if (start > 0) start = text.lastIndexOf(" ", start) + 1;
+  }
+  const segments = [];
+  let cursor = start;
+  words.filter(([a, b]) => a >= start && b <= end).forEach(([a, b]) => {
+    if (a > cursor) segments.push({ text: text.slice(cursor, a), hit: false });
+    segments.push({ text: text.slice(a, b), hit: true });
+    cursor = b;
+  });
+  if (cursor < end) segments.push({ text: text.slice(cursor, end), hit: false });
+  if (start > 0) segments.unshift({ text: "… ", hit: false });
+  if (end < text.length) segments.push({ text: " …", hit: false });
+  return segments;
+}
+
+let loading = null;
+
+export function loadSearchIndex() {
+  loading ||= fetch("/search-index.json").then((response) => {
+    if (!response.ok) throw new Error("Search index unavailable");
+    return response.json();
+  }).catch((error) => {
+    loading = null;
+    throw error;
+  });
+  return loading;
+}
+
+export function resultHref(doc) {
+  return `/course/${doc.lessonId}${doc.sectionNumber ? `#section-${doc.lessonId}-${doc.sectionNumber}` : ""}`;
+}
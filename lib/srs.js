@@ -0,0 +1,60 @@
+export const GRADES = [
+  ["again", "Again"],
+  ["hard", "Hard"],
+  ["good", "Good"],
+  ["easy", "Easy"],
+];
+
+export const DEFAULT_NEW_PER_DAY = 20;
+const MIN_EASE = 1.3;
+
+export function dayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function addDays(day, days) {
+  const [y, m, d] = day.split("-").map(Number);
+  return dayKey(new Date(y, m - 1, d + days));
+}
+
+export function reviewCard(state, grade, today = dayKey()) {
+  const card = state || { interval: 0, ease: 2.5, reps: 0, lapses: 0, added: today };
+  let { interval, ease, reps, lapses } = card;
+  if (grade === "again") {
+    reps = 0;
+    lapses += 1;
+    interval = 0;
+    ease = Math.max(MIN_EASE, ease - 0.2);
+  } else {
+    if (grade === "hard") ease = Math.max(MIN_EASE, ease - 0.15);
+    if (grade === "easy") ease += 0.15;
+    if (reps === 0) interval = grade === "easy" ? 4 : 1;
+    else if (reps === 1) interval = grade === "hard" ? 3 : grade === "easy" ? 8 : 6;
+    else interval = Math.round(interval * (grade === "hard" ? 1.2 : grade === "easy" ? ease * 1.3 : ease));
+    reps += 1;
+  }
+  return { ...card, interval, ease: Math.round(ease * 100) / 100, reps, lapses, last: today, due: addDays(today, interval) };
+}
+
+export function previewInterval(state, grade, today = dayKey()) {
+  const { interval } = reviewCard(state, grade, today);
+  if (interval === 0) return "today";
+  if (interval < 30) return `${interval}d`;
+  if (interval < 365) return `${Math.round(interval / 30)}mo`;
+  return `${Math.round(interval / 36.5) / 10}y`;
+}
+
+export function buildQueue(cards, schedule, { newPerDay = DEFAULT_NEW_PER_DAY, today = dayKey() } = {}) {
+  const due = cards
+    .filter((card) => schedule[card.key] && schedule[card.key].due <= today)
+    .sort((a, b) => {
+      const sa = schedule[a.key], sb = schedule[b.key];
+      return (sa.last === today) - (sb.last === today) || sa.due.localeCompare(sb.due);
+    });
+  const introducedToday = Object.values(schedule).filter((state) => state.added === today).length;
+  const newLeft = Math.max(0, newPerDay - introducedToday);
+  const unseen = cards.filter((card) => !schedule[card.key]);
+  const fresh = unseen.slice(0, newLeft);
+  return { due, fresh, queue: [...due, ...fresh], newLeft, unseen: unseen.length };
+}
@@ -0,0 +1,39 @@
+const encoder = new TextEncoder();
+
+export function sseEvent(event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export function sseResponse(stream, headers = {}) {
+  return new Response(stream, { headers: { "Content-Type": "text/event-stream; charset=utf-8", "Cache-Control": "no-cache, no-transform", ...headers } });
+}
+
+function parseBlock(block) {
+  let event = "message";
+  const data = [];
+  block.split("\n").forEach((line) => {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+  });
+  return data.length ? [event, JSON.parse(data.join("\n"))] : null;
+}
+
+export async function readEvents(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value.replace(/\r\n/g, "\n");
+      let split;
+      while ((split = buffer.indexOf("\n\n")) >= 0) {
+        const parsed = parseBlock(buffer.slice(0, split));
+        buffer = buffer.slice(split + 2);
+        if (parsed) onEvent(...parsed);
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
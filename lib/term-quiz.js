@@ -0,0 +1,77 @@
+import { objectiveDomain } from "./objectives";
+import { seededShuffle } from "./quiz";
+
+export const TERM_QUIZ_CHOICES = 4;
+export const TERM_QUIZ_LENGTH = 12;
+export const TERM_QUIZ_PASS = 80;
+
+const normalize = (text) => text.trim().toLowerCase().replace(/\s+/g, " ").replace(/[.\s]+$/, "");
+
+const opening = (text) => normalize(text).split(" ").slice(0, 6).join(" ");
+const TEMPLATE_USES = 5;
+
+// Breakdown text that opens the same way for many different terms is boilerplate, not a definition.
+export function templatedOpenings(lessons) {
+  const counts = new Map();
+  lessons.forEach((lesson) => lesson.slides.forEach((section) => (section.course?.breakdown || []).forEach(({ explanation }) => {
+    if (explanation) counts.set(opening(explanation), (counts.get(opening(explanation)) || 0) + 1);
+  })));
+  return new Set([...counts].filter(([, uses]) => uses >= TEMPLATE_USES).map(([text]) => text));
+}
+
+// Key terms first, then breakdown items. A definition is kept only when it names exactly one term
+// and does not contain the term itself, so shared or self-answering text never becomes a question.
+export function lessonTerms(lesson, templates = new Set()) {
+  const raw = lesson.slides.filter((s) => s.instructional).flatMap((section) => [
+    ...[...section.defs, ...(section.course?.defs || [])].map(({ term, definition }) => ({ term, definition, sectionNumber: section.n, objectives: section.objectives || [] })),
+    ...(section.course?.breakdown || []).filter(({ explanation }) => explanation && !templates.has(opening(explanation))).map(({ term, explanation }) => ({ term, definition: explanation, sectionNumber: section.n, objectives: section.objectives || [] })),
+  ]).filter(({ term, definition }) => term?.trim() && definition?.trim());
+  const termsByDefinition = new Map();
+  raw.forEach(({ term, definition }) => termsByDefinition.set(normalize(definition), new Set([...(termsByDefinition.get(normalize(definition)) || []), normalize(term)])));
+  const seen = new Set();
+  return raw.filter(({ term, definition }) => {
+    const key = normalize(term);
+    if (seen.has(key) || termsByDefinition.get(normalize(definition)).size > 1 || normalize(definition).includes(key)) return false;
+    seen.add(key);
+    return true;
+  }).map((entry) => ({ ...entry, lessonId: lesson.id, term: entry.term.trim(), definition: entry.definition.trim() }));
+}
+
+function pickDistractors(entry, pool, field, seed) {
+  const taken = new Set([normalize(entry[field]), normalize(entry.term)]);
+  const picks = [];
+  for (const other of seededShuffle(pool, seed)) {
+    if (picks.length === TERM_QUIZ_CHOICES - 1) break;
+    const value = normalize(other[field]);
+    if (taken.has(value) || taken.has(normalize(other.term))) continue;
+    taken.add(value).add(normalize(other.term));
+    picks.push(other[field]);
+  }
+  return picks;
+}
+
+function buildQuestion(entry, pool, lesson, direction, i) {
+  const field = direction === "term" ? "term" : "definition";
+  const seed = `${lesson.id}:${entry.term}:${direction}`;
+  const distractors = pickDistractors(entry, pool, field, seed);
+  if (distractors.length < TERM_QUIZ_CHOICES - 1) return null;
+  const choices = seededShuffle([entry[field], ...distractors], `${seed}:order`);
+  return {
+    id: `tq-${lesson.id}-${i + 1}${direction === "term" ? "t" : "d"}`,
+    chapter: lesson.chapter,
+    lessons: [lesson.id],
+    ...(entry.objectives.length && { domain: objectiveDomain(entry.objectives[0]), objectives: entry.objectives }),
+    generated: "terms",
+    q: direction === "term" ? `Which term matches this definition? “${entry.definition}”` : `Which statement best describes ${entry.term}?`,
+    choices,
+    answer: choices.indexOf(entry[field]),
+    why: `${entry.term}: ${entry.definition} (section ${entry.sectionNumber})`,
+    section: entry.sectionNumber,
+  };
+}
+
+export function termQuestions(lesson, lessons, templates = templatedOpenings(lessons)) {
+  const terms = lessonTerms(lesson, templates);
+  const chapterPool = lessons.filter((other) => other.chapter === lesson.chapter).flatMap((other) => lessonTerms(other, templates));
+  return terms.flatMap((entry, i) => ["term", "definition"].map((direction) => buildQuestion(entry, chapterPool, lesson, direction, i))).filter(Boolean);
+}
@@ -0,0 +1,44 @@
+import { DAY, MINUTE } from "./rate-limit";
+
+function envLimit(name, fallback) {
+  const value = Number(process.env[name] ?? fallback);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export function tutorLimits(ip, session) {
+  return [
+    { name: "session-day", key: `tutor:session:${session}`, limit: envLimit("TUTOR_DAILY_LIMIT", 25), windowMs: DAY, consume: true },
+    { name: "ip-day", key: `tutor:ip:${ip}`, limit: envLimit("TUTOR_IP_DAILY_LIMIT", 100), windowMs: DAY, consume: true },
+    { name: "ip-minute", key: `tutor:ip-minute:${ip}`, limit: envLimit("TUTOR_MINUTE_LIMIT", 6), windowMs: MINUTE, consume: true },
+    { name: "tokens-day", key: `tutor:tokens:${ip}`, limit: envLimit("TUTOR_TOKEN_BUDGET", 0), windowMs: DAY, unit: "tokens" },
+  ].filter((dimension) => dimension.limit > 0);
+}
+
+export function quotaSummary({ allowed, dimensions, limiting, now }) {
+  const requests = dimensions.filter((d) => d.unit === "requests");
+  const tokens = dimensions.find((d) => d.unit === "tokens");
+  const tightest = requests.reduce((a, b) => (b.remaining < a.remaining ? b : a), requests[0]);
+  const resetAt = (d) => new Date(now + d.resetMs).toISOString();
+  return {
+    ...(tightest && { remaining: allowed ? tightest.remaining : 0, limit: tightest.limit, resetAt: resetAt(allowed ? tightest : limiting), scope: allowed ? tightest.name : limiting.name }),
+    ...(tokens && { tokens: { remaining: tokens.remaining, limit: tokens.limit, resetAt: resetAt(tokens) } }),
+  };
+}
+
+function waitText(ms) {
+  const minutes = Math.ceil(ms / MINUTE);
+  if (minutes <= 1) return "in about a minute";
+  if (minutes < 90) return `in about ${minutes} minutes`;
+  return `in about ${Math.round(minutes / 60)} hours`;
+}
+
+const LIMIT_MESSAGES = {
+  "session-day": "You have used today's AI Tutor questions",
+  "ip-day": "This network has used today's AI Tutor questions",
+  "ip-minute": "That's a lot of questions in a short time",
+  "tokens-day": "This network has used today's AI Tutor budget",
+};
+
+export const limitMessage = (limit) => `${LIMIT_MESSAGES[limit.limiting.name] || "AI Tutor limit reached"}. Try again ${waitText(limit.retryAfterMs)}.`;
+
+export const usageTokens = (usage) => (usage?.inputTokens || 0) + (usage?.outputTokens || 0);
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { validateSchema } from "../lib/json-schema.mjs";
+import { markdownDir, markdownFileName, markdownToLesson } from "./lesson-markdown.mjs";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const contentDir = path.join(root, "content");
+const lessonsDir = path.join(contentDir, "lessons");
+const files = {
+  chapters: path.join(contentDir, "chapters.json"),
+  domains: path.join(contentDir, "domains.json"),
+  questions: path.join(contentDir, "scenario-questions.json"),
+  index: path.join(lessonsDir, "index.js"),
+};
+const BUILD_HINT = "run `npm run content:build` to regenerate it";
+
+const rel = (file) => path.relative(root, file);
+const formatJson = (value) => JSON.stringify(value, null, 2);
+const lessonFileName = (id) => `${id.replace(".", "-")}.json`;
+const pad = (n) => String(n).padStart(2, "0");
+
+class Problems {
+  constructor() {
+    this.byFile = new Map();
+  }
+  add(file, message) {
+    const list = this.byFile.get(rel(file)) || [];
+    list.push(message);
+    this.byFile.set(rel(file), list);
+  }
+  get count() {
+    return [...this.byFile.values()].reduce((sum, list) => sum + list.length, 0);
+  }
+  print() {
+    console.error(`\ncontent check failed: ${this.count} problem(s) in ${this.byFile.size} file(s)\n`);
+    this.byFile.forEach((list, file) => console.error(`${file}\n${list.map((message) => `  ${message}`).join("\n")}\n`));
+  }
+}
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function readJson(file, problems) {
+  const text = await readText(file);
+  if (text == null) return problems.add(file, "file is missing"), { text, data: null };
+  try {
+    return { text, data: JSON.parse(text) };
+  } catch (error) {
+    problems.add(file, `invalid JSON: ${error.message}`);
+    return { text, data: null };
+  }
+}
+
+async function loadContent(problems) {
+  const names = (await fs.readdir(lessonsDir)).filter((name) => name.endsWith(".json")).sort();
+  const lessons = [];
+  for (const name of names) {
+    const file = path.join(lessonsDir, name);
+    const { text, data } = await readJson(file, problems);
+    if (data) lessons.push({ file, text, data });
+  }
+  // Lessons authored in content/markdown/ replace their JSON file, which build regenerates from the Markdown.
+  const markdownNames = (await fs.readdir(markdownDir).catch(() => [])).filter((name) => name.endsWith(".md")).sort();
+  for (const name of markdownNames) {
+    const source = path.join(markdownDir, name);
+    const { data, errors } = markdownToLesson(await fs.readFile(source, "utf8"));
+    errors.forEach((error) => problems.add(source, error));
+    if (errors.length) continue;
+    if (name !== markdownFileName(data.id)) problems.add(source, `/id: lesson ${data.id} should live in ${markdownFileName(data.id)}`);
+    const file = path.join(lessonsDir, lessonFileName(data.id));
+    const existing = lessons.findIndex((lesson) => lesson.file === file);
+    const lesson = { file, text: existing >= 0 ? lessons[existing].text : await readText(file), data, source };
+    if (existing >= 0) lessons[existing] = lesson;
+    else lessons.push(lesson);
+  }
+  const schemas = {};
+  for (const name of ["lesson", "scenario-questions", "chapters", "domains"]) schemas[name] = JSON.parse(await fs.readFile(path.join(contentDir, "schema", `${name}.schema.json`), "utf8"));
+  return {
+    lessons,
+    chapters: await readJson(files.chapters, problems),
+    domains: await readJson(files.domains, problems),
+    questions: await readJson(files.questions, problems),
+    index: await readText(files.index),
+    schemas,
+  };
+}
+
+function normalizeLesson(lesson) {
+  const toDefinition = (d) => (Array.isArray(d) ? { term: d[0], definition: d[1] } : d);
+  const slides = Array.isArray(lesson.slides) ? lesson.slides.map((slide) => (Array.isArray(slide?.defs) ? { ...slide, defs: slide.defs.map(toDefinition) } : slide)) : lesson.slides;
+  if (!Array.isArray(slides)) return lesson;
+  return { ...lesson, slides, slide_count: slides.length, instructional_count: slides.filter((slide) => slide?.instructional === true).length };
+}
+
+function chapterCounts(chapters, lessons) {
+  const byChapter = new Map((Array.isArray(chapters) ? chapters : []).map((chapter) => [chapter.chapter, { ...chapter, lesson_count: 0, slide_count: 0, instructional_count: 0 }]));
+  lessons.forEach(({ data }) => {
+    if (!Number.isInteger(data.chapter) || !Array.isArray(data.slides)) return;
+    if (!byChapter.has(data.chapter)) byChapter.set(data.chapter, { chapter: data.chapter, name: data.chapter_name, lesson_count: 0, slide_count: 0, instructional_count: 0 });
+    const entry = byChapter.get(data.chapter);
+    entry.lesson_count += 1;
+    entry.slide_count += data.slide_count;
+    entry.instructional_count += data.instructional_count;
+  });
+  return [...byChapter.values()].sort((a, b) => a.chapter - b.chapter);
+}
+
+function lessonIndex(lessons) {
+  const sorted = [...lessons].sort((a, b) => a.data.chapter - b.data.chapter || a.data.sub - b.data.sub);
+  const names = sorted.map(({ data }) => `lesson_${data.id.replace(".", "_")}`);
+  return [
+    "// Generated by `npm run content:build` from the lesson files in this folder. Do not edit by hand.",
+    ...sorted.map(({ file }, i) => `import ${names[i]} from "./${path.basename(file)}";`),
+    "",
+    `export const lessons = [${names.join(", ")}];`,
+    "",
+  ].join("\n");
+}
+
+function objectiveDomains(domains, problems) {
+  const objectives = new Map();
+  domains.forEach((domain, d) => domain.objectives.forEach((objective, o) => {
+    const at = `/${d}/objectives/${o}/id`;
+    if (objectives.has(objective.id)) problems.add(files.domains, `${at}: objective ${objective.id} is listed more than once`);
+    else if (!objective.id.startsWith(`${domain.domain}.`)) problems.add(files.domains, `${at}: objective ${objective.id} does not belong to domain ${domain.domain}`);
+    objectives.set(objective.id, domain.domain);
+  }));
+  return objectives;
+}
+
+function validateLessons(lessons, chapters, objectives, schemas, problems) {
+  const ids = new Map();
+  const chapterNames = new Map((chapters || []).map((chapter) => [chapter.chapter, chapter.name]));
+  lessons.forEach(({ file, data, source }) => {
+    const where = source || file;
+    const errors = validateSchema(schemas.lesson, data);
+    errors.forEach((error) => problems.add(where, error));
+    if (errors.length) return;
+    if (path.basename(file) !== lessonFileName(data.id)) problems.add(where, `/id: lesson ${data.id} should live in ${lessonFileName(data.id)}`);
+    if (data.id !== `${pad(data.chapter)}.${pad(data.sub)}`) problems.add(where, `/id: ${data.id} does not match chapter ${data.chapter} and sub ${data.sub}`);
+    if (ids.has(data.id)) problems.add(where, `/id: ${data.id} is also used by ${rel(ids.get(data.id))}`);
+    ids.set(data.id, file);
+    const numbers = new Set();
+    data.slides.forEach((slide, i) => {
+      if (numbers.has(slide.n)) problems.add(where, `/slides/${i}/n: section number ${slide.n} is used more than once`);
+      numbers.add(slide.n);
+      const unknown = objectives ? (slide.objectives || []).filter((id) => !objectives.has(id)) : [];
+      if (unknown.length) problems.add(where, `/slides/${i}/objectives: unknown objective(s) ${unknown.join(", ")}`);
+    });
+    if (chapters && !chapterNames.has(data.chapter)) problems.add(where, `/chapter: chapter ${data.chapter} is not listed in content/chapters.json`);
+    else if (chapters && chapterNames.get(data.chapter) !== data.chapter_name) problems.add(where, `/chapter_name: "${data.chapter_name}" does not match "${chapterNames.get(data.chapter)}" in content/chapters.json`);
+  });
+  return new Map(lessons.map(({ data }) => [data.id, data]));
+}
+
+function answerProblems(question) {
+  const type = question.type || "single";
+  const problems = [];
+  const outOfRange = (index, length, where) => { if (index >= length) problems.push(`${where}: index ${index} is out of range for ${length} options`); };
+  if (type === "single") outOfRange(question.answer, question.choices.length, "/answer");
+  if (type === "multi") {
+    question.answer.forEach((index, i) => outOfRange(index, question.choices.length, `/answer/${i}`));
+    if (question.answer.length >= question.choices.length) problems.push("/answer: a multi-select question needs at least one wrong choice");
+  }
+  if ((type === "single" || type === "multi") && question.notes && question.notes.length !== question.choices.length) problems.push(`/notes: expected one note per choice (${question.choices.length}), got ${question.notes.length}`);
+  if (type === "match") question.pairs.forEach((pair, i) => { if (!question.options.includes(pair.match)) problems.push(`/pairs/${i}/match: "${pair.match}" is not one of the options`); });
+  if (type === "table") {
+    question.rows.forEach((row, r) => {
+      if (row.length !== question.columns.length) problems.push(`/rows/${r}: expected ${question.columns.length} cells, got ${row.length}`);
+      row.forEach((cell, c) => { if (typeof cell === "object") outOfRange(cell.answer, cell.options.length, `/rows/${r}/${c}/answer`); });
+    });
+    if (!question.rows.some((row) => row.some((cell) => typeof cell === "object"))) problems.push("/rows: a table question needs at least one cell to fill in");
+  }
+  return problems;
+}
+
+function validateQuestions(questions, lessonsById, domains, objectives, schemas, problems) {
+  const errors = validateSchema(schemas["scenario-questions"], questions);
+  errors.forEach((error) => problems.add(files.questions, error));
+  if (errors.length) return;
+  const domainIds = new Set((domains || []).map((domain) => domain.domain));
+  const ids = new Map();
+  questions.forEach((question, i) => {
+    const at = `/${i} (${question.id})`;
+    if (ids.has(question.id)) problems.add(files.questions, `${at}/id: duplicates question #${ids.get(question.id) + 1}`);
+    ids.set(question.id, i);
+    answerProblems(question).forEach((message) => problems.add(files.questions, `${at}${message}`));
+    const unknown = question.lessons.filter((id) => !lessonsById.has(id));
+    if (unknown.length) problems.add(files.questions, `${at}/lessons: unknown lesson id(s) ${unknown.join(", ")}`);
+    else if (!question.lessons.some((id) => lessonsById.get(id).chapter === question.chapter)) problems.add(files.questions, `${at}/chapter: none of the tagged lessons is in chapter ${question.chapter}`);
+    if (domains && !domainIds.has(question.domain)) problems.add(files.questions, `${at}/domain: domain ${question.domain} is not listed in content/domains.json`);
+    const unknownObjectives = objectives ? question.objectives.filter((id) => !objectives.has(id)) : [];
+    if (unknownObjectives.length) problems.add(files.questions, `${at}/objectives: unknown objective(s) ${unknownObjectives.join(", ")}`);
+    else if (objectives && question.objectives.some((id) => objectives.get(id) !== question.domain)) problems.add(files.questions, `${at}/objectives: every objective must be in domain ${question.domain}`);
+  });
+}
+
+async function run(command) {
+  if (!["check", "build"].includes(command)) {
+    console.error("Usage: node scripts/content.mjs <check|build>\n\n  check  validate content and fail if generated files are out of date\n  build  generate lessons from content/markdown/, normalize lessons, recompute chapter counts, regenerate the lesson index, then validate");
+    return 2;
+  }
+  const problems = new Problems();
+  const content = await loadContent(problems);
+  const lessons = content.lessons.map((lesson) => ({ ...lesson, data: normalizeLesson(lesson.data) }));
+  const chapterErrors = content.chapters.data ? validateSchema(content.schemas.chapters, content.chapters.data) : [];
+  chapterErrors.forEach((error) => problems.add(files.chapters, error));
+  const chapters = content.chapters.data && !chapterErrors.length ? chapterCounts(content.chapters.data, lessons) : null;
+  const domainErrors = content.domains.data ? validateSchema(content.schemas.domains, content.domains.data) : [];
+  domainErrors.forEach((error) => problems.add(files.domains, error));
+  const objectives = content.domains.data && !domainErrors.length ? objectiveDomains(content.domains.data, problems) : null;
+  const lessonsById = validateLessons(lessons, chapters, objectives, content.schemas, problems);
+  if (content.questions.data) validateQuestions(content.questions.data, lessonsById, content.domains.data, objectives, content.schemas, problems);
+
+  const outputs = problems.count ? [] : [
+    ...lessons.map(({ file, text, data, source }) => ({ file, before: text, after: formatJson(data), what: source ? `lesson generated from ${rel(source)}` : "lesson counts or definition format" })),
+    ...(chapters ? [{ file: files.chapters, before: content.chapters.text, after: formatJson(chapters), what: "chapter counts" }] : []),
+    { file: files.index, before: content.index, after: lessonIndex(lessons), what: "lesson index" },
+  ].filter((output) => output.before !== output.after);
+
+  if (command === "check") outputs.forEach((output) => problems.add(output.file, `${output.what} out of date; ${BUILD_HINT}`));
+  if (problems.count) {
+    problems.print();
+    return 1;
+  }
+  if (command === "build") {
+    for (const output of outputs) await fs.writeFile(output.file, output.after);
+    outputs.forEach((output) => console.log(`updated ${rel(output.file)} (${output.what})`));
+  }
+  const sections = lessons.reduce((sum, { data }) => sum + data.slides.length, 0);
+  console.log(`content ok: ${lessons.length} lessons, ${sections} sections, ${chapters.length} chapters, ${content.questions.data.length} scenario questions`);
+  return 0;
+}
+
+process.exitCode = await run(process.argv[2]);
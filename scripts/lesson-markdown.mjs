@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+// Converts lessons between content/lessons/*.json and the Markdown format described in the README
+// ("Authoring lessons in Markdown"). Blocks that only repeat a default (`raw`, `course-defs`,
+// `course-points`) are left out of the Markdown, so a round trip reproduces the JSON exactly.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const lessonsDir = path.join(root, "content", "lessons");
+export const markdownDir = path.join(root, "content", "markdown");
+export const lessonFileName = (id) => `${id.replace(".", "-")}.json`;
+export const markdownFileName = (id) => `${id.replace(".", "-")}.md`;
+
+const FRONT_MATTER = ["id", "chapter", "sub", "title", "chapter_name", "source_filename"];
+const INTEGER_FIELDS = ["chapter", "sub"];
+const SECTION_FENCES = ["teach", "points", "raw", "defs", "objectives"];
+const COURSE_FENCES = ["learn", "why", "example", "exam", "breakdown", "course-defs", "check", "course-points"];
+const COURSE_TEXT = ["learn", "why", "example", "exam"];
+
+const defaultRaw = (section) => [section.title, ...section.points].join("\n");
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function fence(name, text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const ticks = "`".repeat(longest + 1);
+  return `${ticks}${name}\n${text ? `${text}\n` : ""}${ticks}`;
+}
+
+function termLines(list, key) {
+  return list.map((item) => {
+    if (item.term.includes(": ") || item.term.includes("\n") || item[key].includes("\n")) throw new Error(`term "${item.term}" cannot be written as a "Term: ${key}" line`);
+    return `${item.term}: ${item[key]}`;
+  }).join("\n");
+}
+
+export function lessonToMarkdown(lesson) {
+  const lines = ["---", ...FRONT_MATTER.map((key) => `${key}: ${lesson[key]}`), "concepts:", ...lesson.concepts.map((concept) => `  - ${concept}`), "---"];
+  lesson.slides.forEach((section) => {
+    lines.push("", `## ${section.n}. ${section.title}`, "", fence("teach", section.teach));
+    if (section.points.length) lines.push("", fence("points", section.points.join("\n")));
+    if (section.raw !== defaultRaw(section)) lines.push("", fence("raw", section.raw));
+    if (section.defs.length) lines.push("", fence("defs", termLines(section.defs, "definition")));
+    if (section.objectives) lines.push("", fence("objectives", section.objectives.join("\n")));
+    const c = section.course;
+    if (!section.instructional) return;
+    COURSE_TEXT.forEach((key) => lines.push("", fence(key, c[key])));
+    if (c.breakdown.length) lines.push("", fence("breakdown", termLines(c.breakdown, "explanation")));
+    if (!same(c.defs, section.defs)) lines.push("", fence("course-defs", termLines(c.defs, "definition")));
+    lines.push("", fence("check", `Q: ${c.check_q}\nA: ${c.check_a}`));
+    if (!same(c.points, section.points)) lines.push("", fence("course-points", (c.points || []).join("\n")));
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+function parseTerms(text, key, at, errors) {
+  return text.split("\n").filter((line) => line.trim()).map((line) => {
+    const split = line.indexOf(": ");
+    if (split < 1) {
+      errors.push(`${at}: expected "Term: ${key}", got "${line}"`);
+      return null;
+    }
+    return { term: line.slice(0, split).trim(), [key]: line.slice(split + 2).trim() };
+  }).filter(Boolean);
+}
+
+export function markdownToLesson(text) {
+  const errors = [];
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const lesson = {};
+  const concepts = [];
+  let i = 0;
+  if (lines[0] !== "---") return { errors: ["line 1: a lesson must start with --- front matter"] };
+  for (i = 1; i < lines.length && lines[i] !== "---"; i++) {
+    const line = lines[i];
+    if (/^\s+- /.test(line)) concepts.push(line.replace(/^\s+- /, "").trim());
+    else if (line.trim() && line !== "concepts:") {
+      const split = line.indexOf(": ");
+      const key = split > 0 ? line.slice(0, split) : line;
+      if (!FRONT_MATTER.includes(key)) errors.push(`line ${i + 1}: unknown front matter field "${key}"`);
+      else lesson[key] = INTEGER_FIELDS.includes(key) ? Number(line.slice(split + 2)) : line.slice(split + 2);
+    }
+  }
+  if (i >= lines.length) return { errors: ["front matter is not closed with ---"] };
+  FRONT_MATTER.forEach((key) => { if (lesson[key] == null || lesson[key] === "") errors.push(`front matter: missing "${key}"`); });
+
+  const sections = [];
+  let current = null;
+  for (i++; i < lines.length; i++) {
+    const line = lines[i];
+    const heading = line.match(/^## (\d+)\. (.+)$/);
+    if (heading) {
+      current = { n: Number(heading[1]), title: heading[2].trim(), fences: {}, line: i + 1 };
+      sections.push(current);
+      continue;
+    }
+    const open = line.match(/^(`{3,})([\w-]+)$/);
+    if (open) {
+      const start = i + 1;
+      const body = [];
+      for (i++; i < lines.length && lines[i] !== open[1]; i++) body.push(lines[i]);
+      if (i >= lines.length) errors.push(`line ${start}: \`\`\`${open[2]} is never closed`);
+      else if (!current) errors.push(`line ${start}: \`\`\`${open[2]} appears before the first "## <n>. <title>" heading`);
+      else if (![...SECTION_FENCES, ...COURSE_FENCES].includes(open[2])) errors.push(`line ${start}: unknown block \`\`\`${open[2]}`);
+      else if (open[2] in current.fences) errors.push(`line ${start}: section ${current.n} already has a \`\`\`${open[2]} block`);
+      else current.fences[open[2]] = { text: body.join("\n"), line: start };
+      continue;
+    }
+    if (line.trim() && !/^<!--.*-->$/.test(line.trim())) errors.push(`line ${i + 1}: unexpected text outside a block: "${line.trim().slice(0, 60)}"`);
+  }
+  if (!sections.length) errors.push("the lesson has no \"## <n>. <title>\" sections");
+
+  const slides = sections.map(({ n, title, fences, line }) => {
+    const at = (name) => `line ${fences[name]?.line || line}`;
+    const list = (name) => (fences[name] ? fences[name].text.split("\n").filter((item) => item.trim()) : []);
+    const points = list("points");
+    const defs = fences.defs ? parseTerms(fences.defs.text, "definition", at("defs"), errors) : [];
+    if (!fences.teach) errors.push(`line ${line}: section ${n} needs a \`\`\`teach block`);
+    const section = { n, title, points, raw: fences.raw ? fences.raw.text : [title, ...points].join("\n"), instructional: !!fences.learn, teach: fences.teach?.text || "", defs, ...(fences.objectives && { objectives: list("objectives") }) };
+    const courseFences = COURSE_FENCES.filter((name) => fences[name]);
+    if (!section.instructional) {
+      if (courseFences.length) errors.push(`line ${line}: section ${n} has ${courseFences.map((name) => `\`\`\`${name}`).join(", ")} but no \`\`\`learn block`);
+      return section;
+    }
+    const missing = ["objectives", ...COURSE_TEXT, "check"].filter((name) => !fences[name]);
+    if (missing.length) errors.push(`line ${line}: learning section ${n} is missing ${missing.map((name) => `\`\`\`${name}`).join(", ")}`);
+    const check = (fences.check?.text || "").match(/^Q: (.+)\nA: (.+)$/);
+    if (fences.check && !check) errors.push(`${at("check")}: \`\`\`check must hold a "Q: ..." line followed by an "A: ..." line`);
+    section.course = {
+      ...Object.fromEntries(COURSE_TEXT.map((key) => [key, fences[key]?.text || ""])),
+      breakdown: fences.breakdown ? parseTerms(fences.breakdown.text, "explanation", at("breakdown"), errors) : [],
+      defs: fences["course-defs"] ? parseTerms(fences["course-defs"].text, "definition", at("course-defs"), errors) : defs,
+      check_q: check?.[1] || "",
+      check_a: check?.[2] || "",
+      points: fences["course-points"] ? list("course-points") : points,
+    };
+    return section;
+  });
+
+  const data = { id: lesson.id, chapter: lesson.chapter, sub: lesson.sub, title: lesson.title, chapter_name: lesson.chapter_name, slides, slide_count: slides.length, instructional_count: slides.filter((s) => s.instructional).length, concepts, source_filename: lesson.source_filename };
+  return { data, errors };
+}
+
+async function readLesson(idOrFile) {
+  const file = /\.json$/.test(idOrFile) ? path.resolve(idOrFile) : path.join(lessonsDir, lessonFileName(idOrFile));
+  return { file, lesson: JSON.parse(await fs.readFile(file, "utf8")) };
+}
+
+async function run([command, ...args]) {
+  const rel = (file) => path.relative(root, file);
+  if (command === "export" && args.length) {
+    const stdout = args.includes("--stdout");
+    const ids = args.includes("--all") ? (await fs.readdir(lessonsDir)).filter((name) => name.endsWith(".json")).sort() : args.filter((arg) => !arg.startsWith("--"));
+    for (const id of ids) {
+      const { lesson } = await readLesson(id);
+      const markdown = lessonToMarkdown(lesson);
+      if (stdout) process.stdout.write(markdown);
+      else {
+        await fs.mkdir(markdownDir, { recursive: true });
+        await fs.writeFile(path.join(markdownDir, markdownFileName(lesson.id)), markdown);
+        console.log(`wrote ${rel(path.join(markdownDir, markdownFileName(lesson.id)))}`);
+      }
+    }
+    return 0;
+  }
+  if (command === "import" && args.length) {
+    let failed = 0;
+    for (const file of args) {
+      const { data, errors } = markdownToLesson(await fs.readFile(file, "utf8"));
+      if (errors.length) {
+        failed++;
+        console.error(`${file}\n${errors.map((error) => `  ${error}`).join("\n")}\n`);
+        continue;
+      }
+      await fs.writeFile(path.join(lessonsDir, lessonFileName(data.id)), JSON.stringify(data, null, 2));
+      console.log(`wrote ${rel(path.join(lessonsDir, lessonFileName(data.id)))} from ${file}`);
+    }
+    if (!failed) console.log("run `npm run content:build` to refresh chapter counts and the lesson index");
+    return failed ? 1 : 0;
+  }
+  if (command === "roundtrip") {
+    const names = (await fs.readdir(lessonsDir)).filter((name) => name.endsWith(".json")).sort();
+    const broken = [];
+    for (const name of names) {
+      const text = await fs.readFile(path.join(lessonsDir, name), "utf8");
+      try {
+        const { data, errors } = markdownToLesson(lessonToMarkdown(JSON.parse(text)));
+        if (errors.length || JSON.stringify(data, null, 2) !== text) broken.push(`${name}: ${errors[0] || "differs after converting to Markdown and back"}`);
+      } catch (error) {
+        broken.push(`${name}: ${error.message}`);
+      }
+    }
+    broken.forEach((line) => console.error(line));
+    console.log(`${names.length - broken.length}/${names.length} lessons survive a Markdown round trip`);
+    return broken.length ? 1 : 0;
+  }
+  console.error([
+    "Usage: node scripts/lesson-markdown.mjs <command>",
+    "",
+    "  export <id...|--all> [--stdout]  write lessons as Markdown to content/markdown/ (or print them)",
+    "  import <file.md...>              convert Markdown lessons to JSON in content/lessons/",
+    "  roundtrip                        check that every lesson converts to Markdown and back unchanged",
+  ].join("\n"));
+  return 2;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) process.exitCode = await run(process.argv.slice(2));